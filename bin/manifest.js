@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+import { mkdir, writeFile } from 'node:fs/promises';
+import { relative, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import {
+  describeModule,
+  generateManifest,
+  generateTypes,
+} from '../dist/manifest.min.js';
+
+/**
+ * Generates custom-elements.json and custom-elements.d.ts from modules that
+ * define components with generateClass.
+ *
+ * Usage: hyperapp-custom-element-manifest [--outdir <dir>] <module>...
+ *
+ * Each module is imported in Node, so it must not depend on the browser when it
+ * is evaluated, except for calling `customElements.define`, which is recorded.
+ */
+
+const USAGE =
+  'Usage: hyperapp-custom-element-manifest [--outdir <dir>] <module>...';
+
+const args = process.argv.slice(2);
+let outDir = '.';
+const paths = [];
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--outdir') {
+    outDir = args[++i];
+  } else if (args[i] === '--help' || args[i] === '-h') {
+    console.log(USAGE);
+    process.exit(0);
+  } else {
+    paths.push(args[i]);
+  }
+}
+if (!paths.length || !outDir) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Record the tag names that the modules define their components with.
+let definitions = [];
+globalThis.customElements ??= {
+  define: (tagName, cls) => definitions.push([tagName, cls]),
+  get: (tagName) => definitions.find(([name]) => name === tagName)?.[1],
+};
+
+const modules = [];
+for (const path of paths) {
+  definitions = [];
+  const moduleExports = await import(pathToFileURL(resolve(path)).href);
+  // Paths in the manifest are relative to the package root.
+  const modulePath = relative(process.cwd(), resolve(path));
+  modules.push(
+    describeModule(modulePath.replace(/\\/g, '/'), moduleExports, definitions)
+  );
+}
+
+await mkdir(outDir, { recursive: true });
+await writeFile(
+  resolve(outDir, 'custom-elements.json'),
+  JSON.stringify(generateManifest(modules), null, 2) + '\n'
+);
+await writeFile(
+  resolve(outDir, 'custom-elements.d.ts'),
+  generateTypes(modules)
+);
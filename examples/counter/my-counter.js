@@ -2,71 +2,80 @@ import { h, text, app } from 'https://unpkg.com/hyperapp';
 import {
   generateClass,
   dispatchEvent,
+  define,
+  createMessages,
 } from 'https://unpkg.com/hyperapp-custom-element';
 
+/**
+ * The component's strings, in the languages that it supports. The language is
+ * determined by the `lang` attribute of the component or of its ancestors.
+ */
+const messages = createMessages({
+  en: { incrementBy: 'Increment by {size}' },
+  fr: { incrementBy: 'Augmenter de {size}' },
+  de: { incrementBy: 'Um {size} erhöhen' },
+});
+
 /**
  * Creates a component that displays a number, and has a button that, when
  * pressed, increments the number by a predefined increment size.
  *
- * HTML Attributes:
- * ----------------
- * increment-size: An integer larger than zero, by which the count will be
- *                 increased each time.
- * hide-button:    If this attribute appears, the increment button will not be
- *                 shown.
- * onincrement:    An event handler function that will be called whenever
- *                 the count is incremented.
- *
- * Javascript Properties:
- * ----------------------
- * incrementSize:  Get/set the size of the increments -- see similarly
- *                 named HTML attribute.
- * hideButton:     Get/set whether the increment button is hidden (true/false).
- * count:          Get the current value stored in the component.
- *
- * Javascript Methods:
- * -------------------
- * increment():    Equivalent to pressing the increment button inside the
- *                 component.
- *
- * Javascript Events:
- * ------------------
- * 'Incremented':  Dispatched whenever the count is incremented.
+ * The attributes, properties, methods and events are documented below, in the
+ * configuration, from which `npx hyperapp-custom-element-manifest` generates a
+ * custom-elements.json manifest and TypeScript declarations.
  */
 const MyCounter = generateClass({
   name: 'my-counter',
   app: app,
   init: {
     count: 0,
-    incrementSize: 1,
     hideButton: false,
   },
   view: view,
+  i18n: { messages },
   exposedConfig: [
     {
       attrName: 'increment-size',
       propName: 'incrementSize',
-      setter: SetIncrementSize,
+      type: Number,
+      default: 1,
+      min: 1,
+      validate: Number.isInteger,
+      description:
+        'An integer larger than zero, by which the count is increased each time.',
     },
     {
       propName: 'count',
+      description: 'The current value stored in the component (read it only).',
     },
     {
       propName: 'hideButton',
       attrName: 'hide-button',
+      type: Boolean,
+      description: 'Whether the increment button is hidden.',
     },
     {
       propName: 'onincrement',
       attrName: 'onincrement',
       eventType: 'Incremented',
+      description: 'Called whenever the count is incremented.',
     },
   ],
   exposedMethods: {
-    increment: IncrementCounter,
+    increment: {
+      action: IncrementCounter,
+      description: 'Equivalent to pressing the increment button.',
+    },
   },
+  events: [
+    {
+      name: 'Incremented',
+      description: 'Dispatched whenever the count is incremented.',
+    },
+  ],
 });
 
-customElements.define('my-counter', MyCounter);
+define(MyCounter);
 
 function view(state) {
   return h('div', {}, [
@@ -75,23 +84,15 @@ function view(state) {
       h(
         'button',
         { onclick: IncrementCounter },
-        text(`Increment by ${state.incrementSize}`)
+        text(
+          messages.format(state.lang, 'incrementBy', {
+            size: state.incrementSize,
+          })
+        )
       ),
   ]);
 }
 
-function SetIncrementSize(state, { incrementSize }) {
-  const size = parseInt(incrementSize);
-  if (!isNaN(size) && incrementSize > 0) {
-    return {
-      ...state,
-      incrementSize: size,
-    };
-  } else {
-    return state;
-  }
-}
-
 function IncrementCounter(state, event) {
   const newState = {
     ...state,
@@ -1,11 +1,51 @@
 import { terser } from 'rollup-plugin-terser';
 
-export default {
-  input: './src/index.js',
-  output: {
-    file: './dist/custom-element.min.js',
-    format: 'es',
-    sourcemap: true,
-  },
-  plugins: [terser({ keep_fnames: /EffectRunner$|^[A-Z]/ })],
-};
+const plugins = [terser({ keep_fnames: /EffectRunner$|^[A-Z]/ })];
+
+export default [
+  {
+    input: './src/index.js',
+    output: {
+      file: './dist/custom-element.min.js',
+      format: 'es',
+      sourcemap: true,
+    },
+    plugins,
+  },
+  {
+    input: './src/testing.js',
+    output: {
+      file: './dist/testing.min.js',
+      format: 'es',
+      sourcemap: true,
+    },
+    plugins,
+  },
+  {
+    input: './src/ssr.js',
+    output: {
+      file: './dist/ssr.min.js',
+      format: 'es',
+      sourcemap: true,
+    },
+    plugins,
+  },
+  {
+    input: './src/debug.js',
+    output: {
+      file: './dist/debug.min.js',
+      format: 'es',
+      sourcemap: true,
+    },
+    plugins,
+  },
+  {
+    input: './src/manifest.js',
+    output: {
+      file: './dist/manifest.min.js',
+      format: 'es',
+      sourcemap: true,
+    },
+    plugins,
+  },
+];
@@ -0,0 +1,68 @@
+export { summariseContent };
+
+/**
+ * A serialisable summary of the content that a consuming app has placed inside
+ * a component's tag.
+ *
+ * @typedef {Object} ContentSummary
+ * @property {Array} children Summaries of the component's child elements.
+ * @property {Object<string, Array>} slots For each slot in the component's
+ *    Shadow DOM, summaries of the nodes assigned to it. The default slot's name
+ *    is ''.
+ */
+
+/**
+ * Summarises the content of a Shadow DOM component.
+ *
+ * @param {HTMLElement} host The component.
+ * @param {ShadowRoot} shadowRoot The component's ShadowRoot, which may be
+ *    closed.
+ * @param {function(Node):*} [summarise] A function that returns a serialisable
+ *    summary of an element or a text node. Default: `summariseNode`.
+ * @returns {ContentSummary}
+ */
+function summariseContent(host, shadowRoot, summarise = summariseNode) {
+  const children = Array.from(host.children, summarise);
+
+  const slots = {};
+  for (const slot of shadowRoot.querySelectorAll('slot')) {
+    slots[slot.name] = slot
+      .assignedNodes({ flatten: true })
+      .filter(isMeaningful)
+      .map(summarise);
+  }
+
+  return { children, slots };
+}
+
+/**
+ * Returns a summary of an element: its tag name, attributes and text, e.g.
+ * `{ tag: 'my-tab', attributes: { label: 'Home' }, text: 'Welcome' }`, or of a
+ * text node: `{ text: 'Welcome' }`.
+ *
+ * @param {Node} node
+ * @returns {Object}
+ */
+function summariseNode(node) {
+  const text = node.textContent.trim();
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return { text };
+  }
+
+  const attributes = {};
+  for (const attr of node.attributes) {
+    attributes[attr.name] = attr.value;
+  }
+  return { tag: node.localName, attributes, text };
+}
+
+/**
+ * Whether a node assigned to a slot is worth reporting. Whitespace between
+ * elements is not.
+ *
+ * @param {Node} node
+ * @returns {boolean}
+ */
+function isMeaningful(node) {
+  return node.nodeType === Node.ELEMENT_NODE || node.textContent.trim() !== '';
+}
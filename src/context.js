@@ -0,0 +1,93 @@
+export { consumeContext, ContextRequestEvent };
+
+import { subscriberDispatch } from './subscriptions';
+
+/**
+ * Support for the community context protocol, which lets components obtain data
+ * such as a theme, a locale or the current user from an ancestor, without it
+ * being passed down through every level as attributes.
+ *
+ * @see https://github.com/webcomponents-cg/community-protocols/blob/main/proposals/context.md
+ */
+
+/**
+ * The event that a consumer dispatches to request a context value from its
+ * ancestors. The nearest provider of the context stops its propagation, and
+ * passes the value to the callback -- again whenever the value changes, if the
+ * consumer subscribes.
+ */
+class ContextRequestEvent extends Event {
+  /**
+   * @param {*} context The key that identifies the context.
+   * @param {Element} contextTarget The consumer.
+   * @param {function(*, function=):void} callback Receives the value, and, if
+   *    subscribing, a function that ends the subscription.
+   * @param {boolean} [subscribe] Whether to receive changes of the value.
+   */
+  constructor(context, contextTarget, callback, subscribe = false) {
+    super('context-request', { bubbles: true, composed: true });
+    this.context = context;
+    this.contextTarget = contextTarget;
+    this.callback = callback;
+    this.subscribe = subscribe;
+  }
+}
+
+/**
+ * Returns a Hyperapp Subscription that obtains a context value from the nearest
+ * ancestor that provides it, and dispatches an Action with the value as its
+ * payload, initially and whenever the value changes. The request is repeated
+ * whenever the component enters the DOM, because its provider may change.
+ *
+ * @param {*} context The key that identifies the context, e.g. 'theme'.
+ * @param {Hyperapp.Action} action
+ * @returns {Hyperapp.Subscription}
+ */
+function consumeContext(context, action) {
+  return [consumeContextSubscriber, { context, action }];
+}
+
+/**
+ * Hyperapp Subscriber that requests a context value for the component that it
+ * is bound to.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @param {*} props.context The key that identifies the context.
+ * @param {Hyperapp.Action} props.action
+ * @returns {function} A function that ends the subscription.
+ */
+function consumeContextSubscriber(dispatch, { context, action }) {
+  const sub = subscriberDispatch(dispatch);
+  const NONE = {};
+  let lastValue = NONE;
+  let unsubscribe;
+
+  const receive = (value, newUnsubscribe) => {
+    if (!sub.active) return;
+    if (newUnsubscribe !== unsubscribe) {
+      // Another provider has answered.
+      unsubscribe?.();
+      unsubscribe = newUnsubscribe;
+    }
+    if (value === lastValue) return;
+    lastValue = value;
+    sub.dispatch(action, value);
+  };
+
+  const request = () => {
+    this.dispatchEvent(new ContextRequestEvent(context, this, receive, true));
+  };
+
+  const requests = (this._contextRequests ??= new Set());
+  requests.add(request);
+  if (this.isConnected) {
+    request();
+  }
+
+  return () => {
+    sub.end();
+    requests.delete(request);
+    unsubscribe?.();
+  };
+}
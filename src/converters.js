@@ -0,0 +1,138 @@
+export { getConverter };
+
+/**
+ * Converts between HTML attribute values, which are always strings (or null
+ * when the attribute is absent), and the typed values that are stored in the
+ * state.
+ *
+ * @typedef {Object} Converter
+ * @property {function((string|null)):*} fromAttribute Converts an attribute
+ *    value into a state value.
+ * @property {function(*):(string|null)} toAttribute Converts a state value into
+ *    an attribute value. A return value of null means that the attribute should
+ *    be removed.
+ */
+
+/**
+ * Used when no type is declared. Attribute values are passed through
+ * unchanged. State values that are booleans are represented by the presence or
+ * absence of the attribute. Empty values are represented by removing the
+ * attribute, because otherwise it would either behave like a flag or have a
+ * string value of 'undefined' or 'null'.
+ *
+ * @type {Converter}
+ */
+const defaultConverter = {
+  fromAttribute: (value) => value,
+  toAttribute(value) {
+    if (typeof value === 'boolean') {
+      return value ? '' : null;
+    }
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    return String(value);
+  },
+};
+
+/**
+ * Converters for the standard types that can be declared in `exposedConfig`.
+ *
+ * @type {Map<function, Converter>}
+ */
+const converters = new Map([
+  [
+    // A boolean attribute is a flag: its mere presence means true. See:
+    // https://html.spec.whatwg.org/multipage/common-microsyntaxes.html#boolean-attributes
+    Boolean,
+    {
+      fromAttribute: (value) => value !== null,
+      toAttribute: (value) => (value ? '' : null),
+    },
+  ],
+  [
+    Number,
+    {
+      fromAttribute: (value) => (value === null ? null : Number(value)),
+      toAttribute: (value) =>
+        value === undefined || value === null ? null : String(value),
+    },
+  ],
+  [
+    String,
+    {
+      fromAttribute: (value) => value,
+      toAttribute: (value) =>
+        value === undefined || value === null ? null : String(value),
+    },
+  ],
+  [Object, jsonConverter()],
+  [Array, jsonConverter()],
+  [
+    Date,
+    {
+      fromAttribute: (value) => (value === null ? null : new Date(value)),
+      toAttribute(value) {
+        if (value === undefined || value === null) return null;
+        const date = value instanceof Date ? value : new Date(value);
+        // An invalid date cannot be serialised.
+        return isNaN(date) ? null : date.toISOString();
+      },
+    },
+  ],
+]);
+
+/**
+ * Returns a converter that serialises values as JSON.
+ *
+ * @returns {Converter}
+ */
+function jsonConverter() {
+  return {
+    fromAttribute(value) {
+      if (value === null) return null;
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        // Not valid JSON. Pass on the raw value, which will fail validation of
+        // the declared type.
+        return value;
+      }
+    },
+    toAttribute: (value) =>
+      value === undefined || value === null ? null : JSON.stringify(value),
+  };
+}
+
+/**
+ * Returns the converter for a type declared in `exposedConfig`.
+ *
+ * @param {function|Converter} [type] One of Boolean, Number, String, Object,
+ *    Array or Date, or a custom converter object that has `fromAttribute`
+ *    and/or `toAttribute` methods. If not specified, attribute values are not
+ *    converted.
+ * @returns {Converter}
+ */
+function getConverter(type) {
+  if (type === undefined || type === null) {
+    return defaultConverter;
+  }
+
+  if (converters.has(type)) {
+    return converters.get(type);
+  }
+
+  if (typeof type === 'object') {
+    // A custom converter. It does not have to implement both directions.
+    return {
+      fromAttribute: (
+        type.fromAttribute || defaultConverter.fromAttribute
+      ).bind(type),
+      toAttribute: (type.toAttribute || defaultConverter.toAttribute).bind(
+        type
+      ),
+    };
+  }
+
+  throw new TypeError(`Unsupported attribute type: ${type}`);
+}
@@ -1,7 +1,59 @@
 export { generateClass };
 
-import { setOnEventListenerEffectRunner } from './effects';
+import { summariseContent } from './content';
+import { getConverter } from './converters';
+import { afterRender, setOnEventListenerEffectRunner } from './effects';
+import { define as defineElement } from './define';
+import { onLangChange } from './i18n';
 import { combineDispatchInitialisers } from './middleware';
+import { notificationType } from './naming';
+import {
+  getStorage,
+  loadState,
+  saveState,
+  serialiseState,
+} from './persistence';
+import { adoptStyles, removeStyles, scopeStyles } from './styles';
+import { CONFIG, RENDER_ROOT } from './symbols';
+import { validateValue } from './validation';
+
+/**
+ * The tag names of native element classes that belong to a single tag, and
+ * which can therefore be inferred when extending them.
+ *
+ * @type {Object<string, string>}
+ */
+const NATIVE_TAGS = {
+  HTMLAnchorElement: 'a',
+  HTMLAudioElement: 'audio',
+  HTMLButtonElement: 'button',
+  HTMLCanvasElement: 'canvas',
+  HTMLDataListElement: 'datalist',
+  HTMLDetailsElement: 'details',
+  HTMLDialogElement: 'dialog',
+  HTMLDivElement: 'div',
+  HTMLDListElement: 'dl',
+  HTMLFieldSetElement: 'fieldset',
+  HTMLFormElement: 'form',
+  HTMLIFrameElement: 'iframe',
+  HTMLImageElement: 'img',
+  HTMLInputElement: 'input',
+  HTMLLabelElement: 'label',
+  HTMLLIElement: 'li',
+  HTMLMeterElement: 'meter',
+  HTMLOListElement: 'ol',
+  HTMLOptionElement: 'option',
+  HTMLOutputElement: 'output',
+  HTMLParagraphElement: 'p',
+  HTMLProgressElement: 'progress',
+  HTMLSelectElement: 'select',
+  HTMLSpanElement: 'span',
+  HTMLTableElement: 'table',
+  HTMLTableRowElement: 'tr',
+  HTMLTextAreaElement: 'textarea',
+  HTMLUListElement: 'ul',
+  HTMLVideoElement: 'video',
+};
 
 /**
  * Creates a CustomElement class definition that uses the Hyperapp
@@ -24,6 +76,9 @@ import { combineDispatchInitialisers } from './middleware';
  * need to be kept in sync with each other.
  *
  * @param {Object} config
+ * @param {string} [config.name] The component's tag name. Used when the
+ *      component is defined by `define` or the `define` option, and when it is
+ *      rendered on the server. Optional.
  * @param {function} config.app Hyperapp's app() function.
  * @param {Object|Hyperapp.Action} config.init Any valid input for the Hyperapp
  *      `app()` function argument's `init` property, e.g. an object, an Action
@@ -33,41 +88,278 @@ import { combineDispatchInitialisers } from './middleware';
  * @param {Hyperapp.Subscriptions} [config.subscriptions] Hyperapp subscriptions
  *      function.
  * @param {Hyperapp.DispatchFn} [config.dispatch] Hyperapp dispatch initialiser
- *      function - akin to middleware that wraps `dispatch`.
+ *      function - akin to middleware that wraps `dispatch`. It is called with
+ *      `this` set to the component, e.g. so that `debug()` can tell instances
+ *      apart.
  *
  * @param {Object[]} [config.exposedConfig] Array of config objects (optional):
  * @param {string} [config.exposedConfig[].attrName] HTML attribute name
  *      (optional).
  * @param {string} [config.exposedConfig[].propName] Javascript Element property
  *      name.
+ * @param {function|Object} [config.exposedConfig[].type] The type of the
+ *      value, which determines how the HTML attribute value is converted when
+ *      it is passed to the setter, and how the state value is converted when it
+ *      is reflected into the HTML attribute. One of Boolean, Number, String,
+ *      Object, Array or Date, or a custom converter object with
+ *      `fromAttribute(string|null)` and/or `toAttribute(value)` methods. If the
+ *      HTML attribute does not need a value, e.g. `<tag-name disabled>`, i.e.
+ *      its mere presence is a flag, declare it as Boolean. If not specified,
+ *      the setter receives the raw attribute value, or `null` when the
+ *      attribute is removed. Optional.
  * @param {Hyperapp.Action} [config.exposedConfig[].setter] Hyperapp Action
  *      function that controls whether/how the state will change when the HTML
- *      attribute valueor the CustomElement property value is changed by the
- *      consuming app.If the HTML attribute does not need a value, e.g.
- *      `<tag-name disabled>`, i.e. its mere presence is a flag, then when it is
- *      setter action will be called with `{[attrName]: ''}`. When removed from
- *      added to the tag, the setter action will be called with
- *      `{[attrName]: null}`. This means that any value except `null` indicates
- *      the presence of the flag. Optional.
+ *      attribute value or the CustomElement property value is changed by the
+ *      consuming app. It is called with `{[propName || attrName]: value}`,
+ *      where an attribute value has already been converted according to
+ *      `type`. Optional.
+ * @param {string|boolean} [config.exposedConfig[].reflect] How the value
+ *      (as returned by the getter) is reflected into the HTML attribute:
+ *      'batched' - once per microtask, however many times the state changes;
+ *      'sync' - immediately after every change of state; false - never. The
+ *      attribute is written only if the value that it represents would change,
+ *      and is left alone while the value is undefined. Default: 'batched' if
+ *      there is a `propName` or a `getter`, otherwise false, because the value
+ *      may be stored anywhere in the state.
+ * @param {boolean|string} [config.exposedConfig[].notify] Whether to
+ *      dispatch an event when the value (as returned by the getter) changes,
+ *      e.g. so that frameworks can bind to it two-way. The event is a
+ *      CustomEvent with a detail of `{value, oldValue}`. If `true`, its type is
+ *      `<name>-changed`, where `<name>` is the kebab-case form of the property
+ *      name, e.g. 'increment-size-changed'. If a string, it is the event type.
+ *      Optional.
+ * @param {*} [config.exposedConfig[].default] Value that is passed to the
+ *      setter when the component starts, if the getter returns `undefined`,
+ *      and whenever the value is set to `null` or `undefined`, e.g. when the
+ *      HTML attribute is removed. Optional.
+ * @param {boolean} [config.exposedConfig[].required] Whether the value must be
+ *      set. If there is no default, `null` and `undefined` are invalid, and a
+ *      component that starts without a value reports it. Optional.
+ * @param {Array} [config.exposedConfig[].enum] The only values that are valid.
+ *      Optional.
+ * @param {*} [config.exposedConfig[].min] The lowest valid value. Optional.
+ * @param {*} [config.exposedConfig[].max] The highest valid value. Optional.
+ * @param {function(*):boolean} [config.exposedConfig[].validate] A function
+ *      that returns whether a value is valid. Values that are not of the
+ *      declared `type` are always invalid. Optional.
+ * @param {string} [config.exposedConfig[].onInvalid] What to do with an
+ *      invalid value: 'reject' it, 'clamp' it to `min` or `max`, or replace it
+ *      with the 'default'. Either way, an 'invalid-value' event is dispatched,
+ *      and unless a listener calls its `preventDefault()`, a warning is written
+ *      to the console. Default: 'reject'.
  * @param {function(Object):*} [config.exposedConfig[].getter] A function that
  *      takes the state as an argument and returns the value of the attribute or
  *      property. This allows the exposed properties to be named differently
  *      from internal properties, or to be based on a combination of multiple
- *      internal properties. Optional.
+ *      internal properties. It must depend on nothing but the state, because
+ *      its result is reused until the state changes. Optional.
+ * @param {Array<string|function(Object):*>} [config.exposedConfig[].inputs]
+ *      What the getter depends on: state keys, and/or functions that take the
+ *      state and return part of it. If specified, the getter is called again
+ *      only when one of its inputs changes, rather than whenever the state
+ *      changes, which is worthwhile if it is expensive, e.g. it filters a list
+ *      or computes a total. Optional.
  * @param {string} [config.exposedConfig[].eventType] When the attribute and/or
  *      property is an on<event>, this signifies the name of the event that
  *      needs to be listened to, i.e. that will be dispatched by an
  *      Action/Effect when something meaningful happens.
+ * @param {string} [config.exposedConfig[].description] Documentation of the
+ *      attribute and/or property, for the manifest and type declarations.
+ *      Optional.
  *
  * @param {Object} [config.exposedMethods] Object that maps method names to
- *      Hyperapp Actions that change the state in the required ways. Optional.
+ *      Hyperapp Actions that change the state in the required ways, or to
+ *      method config objects (see below). A method that maps directly to an
+ *      Action passes its first argument to the Action as its payload, and
+ *      returns `undefined`. Optional.
+ * @param {Hyperapp.Action} config.exposedMethods[].action The Action that the
+ *      method dispatches.
+ * @param {string[]} [config.exposedMethods[].params] Names of the method's
+ *      arguments. If specified, the Action's payload is an object that maps
+ *      these names to the arguments. Otherwise, the payload is the first
+ *      argument. Optional.
+ * @param {function(Object, *):*} [config.exposedMethods[].returns] A function
+ *      that receives the state and the payload after the Action has been
+ *      dispatched, and returns the method's return value. Optional.
+ * @param {function} [config.exposedMethods[].awaitEffect] An Effecter
+ *      function. If specified, the method returns a Promise that settles when
+ *      every Effect with this Effecter that results from the Action has
+ *      completed, i.e. when the Promises returned by the Effecter settle. It
+ *      resolves to the value that `returns` computes at that time, or, if
+ *      there is no `returns` function, to the value that the first such Effect
+ *      resolved to. It rejects if any of them rejects. The Effect creators
+ *      exported by this library, e.g. `fetchData`, can be specified instead
+ *      of their Effecters. If the method is called while the app is halted,
+ *      the Action is dispatched, and the Promise settles, only after the
+ *      component re-enters the DOM. Optional.
+ * @param {string} [config.exposedMethods[].description] Documentation of the
+ *      method, for the manifest and type declarations. Optional.
+ * @param {Object[]} [config.events] Documentation of the events that the
+ *      component dispatches, for the manifest and type declarations, e.g.
+ *      `[{ name: 'Incremented', description: '...' }]`. Each may also specify
+ *      the event's TypeScript `type`. Default: 'CustomEvent'. Optional.
  * @param {boolean} [config.useShadowDOM] Whether to use Shadow DOM. Default:
  *      true.
+ * @param {ShadowRootInit} [config.shadowRootOptions] Options for the Shadow
+ *      DOM, e.g. `{ delegatesFocus: true }`, `{ mode: 'closed' }` or
+ *      `{ slotAssignment: 'manual' }`. Default: `{ mode: 'open' }`.
+ * @param {Object} [config.hostFocus] Routes the host element's `focus()` and
+ *      `blur()` methods to Actions, e.g. to move the focus inside the
+ *      component. Optional.
+ * @param {Hyperapp.Action} [config.hostFocus.focus] The Action that `focus()`
+ *      dispatches instead of focusing the host. Its payload is the
+ *      FocusOptions. Optional.
+ * @param {Hyperapp.Action} [config.hostFocus.blur] The Action that `blur()`
+ *      dispatches instead of blurring the host. Optional.
+ * @param {string|CSSStyleSheet|Array<string|CSSStyleSheet>} [config.styles]
+ *      CSS strings and/or CSSStyleSheet objects that style the component. They
+ *      are shared by all instances via `adoptedStyleSheets`, or added as
+ *      <style> elements by engines that do not support it. Light DOM
+ *      components' styles are added once to the document (or ShadowRoot) that
+ *      contains them, and are scoped to the component's tag name: every
+ *      selector is prefixed with it, and `:host` is replaced by it. Styles can
+ *      be replaced at runtime using the `setStyles` Effect. Not supported when
+ *      extending native elements. Optional.
+ * @param {Object<string, function(Object):*>} [config.provide] Context values
+ *      that the component provides to its descendants via the context
+ *      protocol, i.e. `context-request` events. Maps each context key to a
+ *      function that takes the state and returns the value. Subscribers are
+ *      updated whenever the value changes. Descendants built with this library
+ *      can consume it with the `consumeContext` Subscription. Optional.
+ * @param {string[]|Object} [config.persist] Makes parts of the state survive
+ *      page reloads. Specify the state keys to persist, or an object with any
+ *      of the following properties. The values are stored under the tag name
+ *      plus the component's `persist-key` attribute or, failing that, its id,
+ *      as they are when it first enters the DOM. They are restored when the
+ *      component is created, or if it is created outside the DOM, when it
+ *      first enters it, and written back after the state changes, at most once
+ *      per `delay`. Optional.
+ * @param {string[]} config.persist.keys The state keys to persist.
+ * @param {string|Storage} [config.persist.storage] 'local' (localStorage),
+ *      'session' (sessionStorage), or an object that implements `getItem` and
+ *      `setItem`, e.g. an in-memory stand-in. Default: 'local'.
+ * @param {number} [config.persist.delay] Number of milliseconds to wait after
+ *      a change of state before writing to storage. Default: 300.
+ * @param {boolean} [config.persist.shared] Whether instances that have neither
+ *      a `persist-key` attribute nor an id share the values stored under the
+ *      tag name. Otherwise, such instances are not persisted, and a warning is
+ *      logged. Default: false.
+ * @param {Object} [config.observeContent] Makes a Shadow DOM component aware
+ *      of the content that the consuming app places inside its tag. Whenever
+ *      the component's child elements, or the nodes assigned to its slots,
+ *      change, a serialisable summary of them is passed to an Action.
+ *      Optional.
+ * @param {Hyperapp.Action} config.observeContent.onChange Action that is
+ *      dispatched with `{children, slots}` as its payload. `children` is an
+ *      array of summaries of the component's child elements. `slots` maps each
+ *      slot's name ('' for the default slot) to an array of summaries of the
+ *      nodes assigned to it.
+ * @param {function(Node):*} [config.observeContent.summarise] A function that
+ *      returns a serialisable summary of an element or a text node. Default: a
+ *      function that returns `{tag, attributes, text}` for an element and
+ *      `{text}` for a text node. Optional.
+ * @param {string} [config.disconnectMode] What happens to the Hyperapp app
+ *      when the component leaves the DOM. 'destroy': the app is halted
+ *      immediately. 'grace': subscriptions are suspended, and the app is
+ *      halted only if the component has not re-entered the DOM within
+ *      `teardownDelay` milliseconds. 'keep-alive': subscriptions are suspended
+ *      and the app is never halted automatically. In all cases the component
+ *      resumes with its state intact when it re-enters the DOM. Default:
+ *      'grace', so that moving a component around the DOM neither restarts it
+ *      nor cancels the work that its Effects have started.
+ * @param {number} [config.teardownDelay] Number of milliseconds to wait before
+ *      halting a disconnected app in 'grace' mode. Default: 5000.
+ * @param {Object<string, *>} [config.aria] The host element's ARIA semantics,
+ *      which are applied after every change of state. Maps ElementInternals
+ *      ARIA property names, e.g. 'role', 'ariaChecked' or 'ariaValueNow', to
+ *      values, or to functions that take the state and return the value.
+ *      `null` or `undefined` removes the property. Where ElementInternals does
+ *      not support a property, e.g. when extending native elements, the
+ *      corresponding attribute, e.g. `aria-valuenow`, is set on the host
+ *      instead, once it is in the DOM, unless the author has set it.
+ *      Optional.
+ * @param {Object<string, function(Object):boolean>} [config.states] The host
+ *      element's CSS custom states, which are applied after every change of
+ *      state, e.g. `{ open: (state) => state.open }` matches `:state(open)`
+ *      while `state.open` is truthy. Maps state names to functions that take
+ *      the state and return whether the custom state is set. Where custom
+ *      states are not supported, the host gets a `data-state-<name>` attribute
+ *      instead, once it is in the DOM. Optional.
+ * @param {Object} [config.i18n] Makes the component aware of its language,
+ *      which is determined by the `lang` attribute: its own, or its closest
+ *      ancestor's, or the document's. The language is kept in the state, and
+ *      updated whenever it changes. Optional.
+ * @param {Messages} [config.i18n.messages] The component's message catalogs,
+ *      created by `createMessages`. They are available as the class's static
+ *      `messages` property, so that catalogs for more languages can be added.
+ *      The view can look up messages using
+ *      `messages.format(state.lang, key, values)`. Optional.
+ * @param {string} [config.i18n.stateKey] The state key that holds the
+ *      language tag. Default: 'lang'.
+ * @param {string} [config.start] When the Hyperapp app starts, and builds the
+ *      component's DOM. 'constructor': as soon as the component is created.
+ *      'connected': when it first enters the DOM. 'visible': when it has
+ *      entered the DOM and scrolls into view. 'idle': when it has entered the
+ *      DOM and the browser is idle. Where IntersectionObserver or
+ *      requestIdleCallback is not supported, 'visible' and 'idle' mean
+ *      'connected'. Values that are set before the app starts, via attributes
+ *      or properties, are passed to their setters when it starts. Until then,
+ *      exposed properties return `undefined`. Calling an exposed method, or
+ *      receiving a context request, starts the app at once. Default:
+ *      'constructor'.
+ * @param {boolean|Object} [config.formAssociated] Makes the component a
+ *      form-associated CustomElement that participates in form submission,
+ *      validation and reset, via ElementInternals. Specify `true`, or an object
+ *      with any of the following properties. Not supported when extending
+ *      native elements. Optional.
+ * @param {function(Object):*} [config.formAssociated.value] A function that
+ *      takes the state and returns the component's form value: a string, a
+ *      File, a FormData object or null. Optional.
+ * @param {function(Object):*} [config.formAssociated.state] A function that
+ *      takes the state and returns the state that the browser should restore
+ *      after navigation. Default: the form value. Optional.
+ * @param {Hyperapp.Action} [config.formAssociated.onAssociated] Action that is
+ *      dispatched with the form element (or null) as its payload when the
+ *      component is associated with a form or disassociated from it.
+ *      Optional.
+ * @param {Hyperapp.Action} [config.formAssociated.onReset] Action that is
+ *      dispatched when the form is reset. Optional.
+ * @param {Hyperapp.Action} [config.formAssociated.onDisabled] Action that is
+ *      dispatched with a boolean payload when the component becomes disabled
+ *      or enabled, e.g. by an ancestor `<fieldset disabled>`. Optional.
+ * @param {Hyperapp.Action} [config.formAssociated.onStateRestore] Action that
+ *      is dispatched with `{state, mode}` when the browser restores the
+ *      component's state, e.g. after navigation or autofill. Optional.
  * @param {HTMLElement} [parent] HTMLElement class to extend. Default:
  *      HTMLElement.
+ * @param {string} [config.extends] When extending a native element, the tag
+ *      name of the element that is extended, e.g. 'input', which
+ *      `customElements.define` needs. It is available as the class's static
+ *      `extends` property, and `define` passes it on. Default: the tag name
+ *      that corresponds to `parent`, unless several tags share that class,
+ *      e.g. HTMLHeadingElement. Optional.
+ * @param {Object} [config.native] When extending a native element, connects
+ *      the native element's behaviour to the Hyperapp app. State can be written
+ *      back to native properties using the `setNativeProperties` Effect.
+ *      Optional.
+ * @param {string[]|Object<string, Hyperapp.Action>} [config.native.properties]
+ *      Native properties, e.g. 'value', 'checked' or 'disabled', whose values
+ *      are copied into the state: when the component is created, whenever they
+ *      are set, whenever the attribute of the same name changes, and after
+ *      every native `input` and `change` event. Specify their names, to copy
+ *      each value to the state key of the same name, or an object that maps
+ *      each name to an Action that receives the value as its payload.
+ *      Optional.
+ * @param {Object<string, Hyperapp.Action>} [config.native.events] Maps native
+ *      event types, e.g. 'click', to Actions that are dispatched with the event
+ *      as their payload. Optional.
+ * @param {boolean|Object} [config.define] Whether to register the class as a
+ *      CustomElement with the `name` above. Specify `true`, or the options that
+ *      `define` accepts, e.g. `{ suffix: 'v2' }`. Default: false.
  * @returns {HTMLElement} a class that extends HTMLElement or a subclass of it.
  */
 function generateClass({
+  name,
   app,
   init,
   view,
@@ -76,8 +368,66 @@ function generateClass({
   exposedConfig = [],
   exposedMethods = {},
   useShadowDOM = true,
-  parent = HTMLElement,
+  shadowRootOptions,
+  hostFocus = {},
+  disconnectMode = 'grace',
+  teardownDelay = 5000,
+  start = 'constructor',
+  aria,
+  states,
+  i18n,
+  formAssociated = false,
+  styles,
+  observeContent,
+  persist,
+  provide,
+  events = [],
+  define = false,
+  extends: extendsOption,
+  native,
+  // There is no HTMLElement on the server, but renderToString needs a class.
+  parent = typeof HTMLElement !== 'undefined' ? HTMLElement : class {},
 }) {
+  // Normalise the form configuration, so that it is falsy or an object.
+  const formConfig = formAssociated === true ? {} : formAssociated || null;
+
+  const shadowInit = { mode: 'open', ...shadowRootOptions };
+
+  // Normalise the persistence configuration, so that it is null or an object.
+  const persistConfig = Array.isArray(persist)
+    ? { keys: persist, delay: 300 }
+    : persist
+    ? { delay: 300, ...persist }
+    : null;
+
+  // Normalise the native element configuration, so that it is null or an
+  // object whose `properties` maps each property name to an Action, or to null
+  // if the value is to be copied to the state key of the same name.
+  const nativeConfig = native
+    ? {
+        events: native.events || {},
+        properties: new Map(
+          Array.isArray(native.properties)
+            ? native.properties.map((propName) => [propName, null])
+            : Object.entries(native.properties || {})
+        ),
+      }
+    : null;
+
+  const extendsTag = extendsOption || nativeTagName(parent);
+
+  // The app's subscriptions, including one that keeps the language in the
+  // state. It comes first, so that its position does not depend on how many
+  // subscriptions the consumer's function returns.
+  const langSubscription =
+    i18n &&
+    onLangChange(function SetLang(state, lang) {
+      return { ...state, [i18n.stateKey || 'lang']: lang };
+    });
+  const appSubscriptions = langSubscription
+    ? (state) => [langSubscription, ...(subscriptions?.(state) || [])]
+    : subscriptions;
+
   /**
    * Make it easy to look up exposed properties and attributes by generating
    * corresponding maps.
@@ -92,6 +442,7 @@ function generateClass({
       }
       if (cfg.attrName) {
         attrs.set(cfg.attrName.toLowerCase(), cfg);
+        cfg.converter = getConverter(cfg.type);
       }
       if (typeof cfg.setter !== 'function') {
         cfg.setter = cfg.eventType ? generateOnEventSetter(cfg) : PatchState;
@@ -100,6 +451,36 @@ function generateClass({
     return [props, attrs];
   })();
 
+  /**
+   * The exposed values that need to be recomputed after every change of state,
+   * because they are reflected into attributes or announced by events.
+   *
+   * @type {Object[]}
+   */
+  const watchedConfig = exposedConfig.filter(
+    (cfg) => (cfg.attrName && reflectMode(cfg)) || cfg.notify
+  );
+
+  /**
+   * The attributes that correspond to native properties that are copied into
+   * the state. Changing one of them may change the property.
+   *
+   * @type {string[]}
+   */
+  const nativeAttrs = nativeConfig
+    ? [...nativeConfig.properties.keys()]
+        .map((propName) => propName.toLowerCase())
+        .filter((attrName) => !exposedAttrs.has(attrName))
+    : [];
+
+  /**
+   * For Light DOM components, the styles that have been added to each Document
+   * or ShadowRoot that contains instances of the component.
+   *
+   * @type {WeakMap<Document|ShadowRoot, StylesHandle>}
+   */
+  const lightDOMStyles = new WeakMap();
+
   /**
    * Create a subclass of HTMLElement.
    */
@@ -123,49 +504,593 @@ function generateClass({
      */
     //_fragment;
 
+    /**
+     * The VNode that the view most recently returned. Hyperapp records the DOM
+     * node that it rendered on it. Until the first render, this is a stand-in
+     * that records the node that Hyperapp will replace.
+     *
+     * @type {Object}
+     * @private
+     */
+    //_vnode;
+
+    /**
+     * Whether subscriptions are currently suspended because the component has
+     * left the DOM.
+     *
+     * @type {boolean}
+     * @private
+     */
+    //_suspended;
+
+    /**
+     * Timer that will halt the app if the component does not re-enter the DOM
+     * within the grace period.
+     *
+     * @type {number}
+     * @private
+     */
+    //_teardownTimer;
+
+    /**
+     * Calls to `dispatchAction` made before the app has started, or while it is
+     * halted, as `[action, props, key]`, and calls to exposed methods that
+     * await an Effect made while it is halted, as functions. They are replayed
+     * when the app starts or is restarted.
+     *
+     * @type {Array<Array|function>}
+     * @private
+     */
+    //_pendingDispatches;
+
+    /**
+     * Whether required properties and attributes have been checked. This is
+     * done the first time that the component enters the DOM.
+     *
+     * @type {boolean}
+     * @private
+     */
+    //_checkedRequired;
+
+    /**
+     * While an exposed method that awaits an Effect is dispatching its Action,
+     * this function is given the chance to wrap each Effecter that is about to
+     * run.
+     *
+     * @type {function(function, function):function}
+     * @private
+     */
+    //_watchEffecter;
+
+    /**
+     * For form-associated components, the ElementInternals object through
+     * which the component interacts with its form. Also used to find a closed
+     * declarative shadow root, and to apply ARIA semantics and custom states.
+     *
+     * @type {ElementInternals}
+     * @private
+     */
+    //_internals;
+
+    /**
+     * The ARIA property values that were most recently applied, by property
+     * name.
+     *
+     * @type {Map<string, *>}
+     * @private
+     */
+    //_appliedAria;
+
+    /**
+     * The custom states that were most recently applied, by state name.
+     *
+     * @type {Map<string, boolean>}
+     * @private
+     */
+    //_appliedStates;
+
+    /**
+     * The values of the fallback ARIA and custom state attributes that this
+     * component set on the host, by attribute name. Attributes that are not
+     * in here, or whose values have changed since, belong to the author.
+     *
+     * @type {Map<string, string>}
+     * @private
+     */
+    //_fallbackAttributes;
+
+    /**
+     * The component's ShadowRoot, which is not available as `this.shadowRoot`
+     * if it is closed.
+     *
+     * @type {ShadowRoot}
+     * @private
+     */
+    //_shadowRoot;
+
+    /**
+     * For form-associated components, the form value and restorable state that
+     * were most recently passed to the form.
+     *
+     * @type {Array}
+     * @private
+     */
+    //_submittedFormValue;
+
+    /**
+     * The component's current styles. Initially, those in the configuration.
+     *
+     * @type {Styles}
+     * @private
+     */
+    //_styles;
+
+    /**
+     * For Shadow DOM components, what was added to the ShadowRoot in order to
+     * apply the component's styles.
+     *
+     * @type {StylesHandle}
+     * @private
+     */
+    //_stylesHandle;
+
+    /**
+     * Observes changes to the component's child nodes, if `observeContent` was
+     * specified.
+     *
+     * @type {MutationObserver}
+     * @private
+     */
+    //_contentObserver;
+
+    /**
+     * The content summary that was most recently passed to the
+     * `observeContent.onChange` Action, serialised as JSON.
+     *
+     * @type {string}
+     * @private
+     */
+    //_contentSummary;
+
+    /**
+     * Listener for `slotchange` events in the Shadow DOM.
+     *
+     * @type {function}
+     * @private
+     */
+    //_onSlotChange;
+
+    /**
+     * Whether the component is currently writing an attribute in order to
+     * reflect the state.
+     *
+     * @type {boolean}
+     * @private
+     */
+    //_reflecting;
+
+    /**
+     * The attributes whose values have changed since they were last reflected,
+     * and that are waiting to be reflected, by property/attribute
+     * configuration object: those whose `reflect` mode is 'batched', and while
+     * the component is out of the DOM, those whose mode is 'sync'.
+     *
+     * @type {Set<Object>}
+     * @private
+     */
+    //_pendingReflections;
+
+    /**
+     * The most recently computed exposed values, by property/attribute
+     * configuration object, along with the state and inputs that they were
+     * computed from.
+     *
+     * @type {Map<Object, {state: *, inputs: Array|undefined, value: *}>}
+     * @private
+     */
+    //_computedValues;
+
+    /**
+     * The exposed values as they were when the component last looked for
+     * changes, by property/attribute configuration object.
+     *
+     * @type {Map<Object, *>}
+     * @private
+     */
+    //_reportedValues;
+
+    /**
+     * The exposed values that were most recently announced by change
+     * notification events, by property/attribute configuration object.
+     *
+     * @type {Map<Object, *>}
+     * @private
+     */
+    //_notifiedValues;
+
+    /**
+     * Whether an update of the content summary has been scheduled.
+     *
+     * @type {boolean}
+     * @private
+     */
+    //_contentUpdatePending;
+
+    /**
+     * For components that provide contexts, the callbacks of consumers that
+     * have subscribed to them, and the values that they were last given.
+     *
+     * @type {Map<function, {context: *, value: *, unsubscribe: function}>}
+     * @private
+     */
+    //_contextSubscribers;
+
+    /**
+     * Functions that obtain values that depend on where the component is, e.g.
+     * the contexts that it consumes and its language. They are called again
+     * whenever the component enters the DOM.
+     *
+     * @type {Set<function>}
+     * @private
+     */
+    //_contextRequests;
+
+    /**
+     * The Subscribers of the app's Subscriptions, bound to this element.
+     *
+     * @type {WeakMap<function, function>}
+     * @private
+     */
+    //_boundSubscribers;
+
+    /**
+     * For components that persist their state, the timer that will write it to
+     * storage.
+     *
+     * @type {number}
+     * @private
+     */
+    //_persistTimer;
+
+    /**
+     * For components that persist their state, the values that are in storage,
+     * serialised as JSON.
+     *
+     * @type {string}
+     * @private
+     */
+    //_persistedJSON;
+
+    /**
+     * For components that persist their state, the key under which it is
+     * stored, or null if it is not stored. It is determined when the component
+     * first enters the DOM.
+     *
+     * @type {string|null}
+     * @private
+     */
+    //_persistKey;
+
+    /**
+     * Functions that cancel asynchronous work that Effects have started, e.g.
+     * timers and requests. They are called when the app is halted.
+     *
+     * @type {Set<function>}
+     * @private
+     */
+    //_pendingWork;
+
+    /**
+     * The pending dispatches of the `debounce` Effect, by key.
+     *
+     * @type {Map<*, Object>}
+     * @private
+     */
+    //_debounced;
+
+    /**
+     * The current intervals of the `throttle` Effect, by key.
+     *
+     * @type {Map<*, Object>}
+     * @private
+     */
+    //_throttled;
+
+    /**
+     * Whether the app will adopt the DOM that was rendered on the server, once
+     * it starts.
+     *
+     * @type {boolean}
+     * @private
+     */
+    //_hydrate;
+
+    /**
+     * If the start of the app has been scheduled, a function that cancels it.
+     *
+     * @type {function}
+     * @private
+     */
+    //_cancelStart;
+
+    /**
+     * When extending a native element, the values of native properties when
+     * they were last copied into the state.
+     *
+     * @type {Map<string, *>}
+     * @private
+     */
+    //_nativeValues;
+
     /**
      * Initialises Hyperapp app.
      */
     constructor() {
       super();
 
+      if (
+        formConfig ||
+        (useShadowDOM && shadowInit.mode === 'closed') ||
+        ((aria || states) &&
+          parent === HTMLElement &&
+          typeof this.attachInternals === 'function')
+      ) {
+        this._internals = this.attachInternals();
+      }
+
+      // A component that was rendered on the server already has a declarative
+      // shadow root. Its DOM will be hydrated, rather than built from scratch.
+      this._hydrate = false;
+      if (useShadowDOM) {
+        const existing = this.shadowRoot || this._internals?.shadowRoot;
+        this._hydrate = !!existing;
+        this._shadowRoot = existing || this.attachShadow(shadowInit);
+      }
+
+      this._styles = styles;
+
+      if (provide) {
+        this.addEventListener('context-request', (event) =>
+          this.onContextRequest(event)
+        );
+      }
+
+      if (nativeConfig) {
+        this.listenToNativeEvents();
+      }
+
+      if (start === 'constructor') {
+        this.initApp();
+      }
+      this.upgradeProperties();
+    }
+
+    /**
+     * Starts the app for the first time, with the configured initial state,
+     * and then applies the values that were set before it started.
+     *
+     * @private
+     */
+    initApp() {
+      this.startApp(this.restoreState(init), this._hydrate);
+      this._hydrate = undefined;
+      this.applyDefaults();
+      if (nativeConfig) {
+        this.syncNativeProperties();
+      }
+
+      // Only changes made after the app started need to be written to
+      // storage.
+      if (persistConfig) {
+        clearTimeout(this._persistTimer);
+        this._persistTimer = undefined;
+        this._persistedJSON = serialiseState(this._state, persistConfig.keys);
+      }
+    }
+
+    /**
+     * Starts the app when the `start` configuration says so. Called when the
+     * component enters the DOM before its app has started.
+     *
+     * @private
+     */
+    scheduleStart() {
+      if (start === 'visible' && typeof IntersectionObserver !== 'undefined') {
+        const observer = new IntersectionObserver((entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            this.startNow();
+          }
+        });
+        observer.observe(this);
+        this._cancelStart = () => observer.disconnect();
+      } else if (
+        start === 'idle' &&
+        typeof requestIdleCallback !== 'undefined'
+      ) {
+        const handle = requestIdleCallback(() => this.startNow());
+        this._cancelStart = () => cancelIdleCallback(handle);
+      } else {
+        this.initApp();
+      }
+    }
+
+    /**
+     * Starts the app at once, if it has not started yet, and finishes
+     * connecting the component if it is in the DOM.
+     *
+     * @private
+     */
+    startNow() {
+      if (this._dispatch !== undefined) return;
+      this._cancelStart?.();
+      this._cancelStart = undefined;
+      this.initApp();
+      if (this.isConnected) {
+        this.connectedCallback();
+      }
+    }
+
+    /**
+     * Starts the Hyperapp app. Called by the constructor, and again if the
+     * component re-enters the DOM after its app was halted, in which case the
+     * app is restarted with the state it had when it was halted.
+     *
+     * @param {Object|Hyperapp.Action} initialState
+     * @param {boolean} [hydrate] Whether to adopt the DOM that was rendered on
+     *      the server into a declarative shadow root.
+     * @private
+     */
+    startApp(initialState, hydrate) {
       // One of the challenges here is that Hyperapp initialises and builds the
       // DOM structure in the same step. However, a CustomElement must not
       // create child nodes in its constructor (unless it uses Shadow DOM). See
       // https://html.spec.whatwg.org/#custom-element-conformance
       // The way around this is to build the DOM in a DocumentFragment, and
       // connect the fragment when the component later enters the DOM.
-      const root = useShadowDOM
-        ? this.attachShadow({ mode: 'open' })
-        : (this._fragment = document.createDocumentFragment());
+      let root;
+      let serverRenderedNode;
+      if (useShadowDOM) {
+        root = this._shadowRoot;
+        if (hydrate) {
+          // Keep the server-rendered DOM, apart from the styles, which will be
+          // replaced by the component's own.
+          serverRenderedNode = Array.from(root.children).find(
+            (el) => el.localName !== 'style'
+          );
+          for (const el of root.querySelectorAll('style[data-ssr]')) {
+            el.remove();
+          }
+        } else {
+          root.replaceChildren();
+        }
+        removeStyles(this._stylesHandle);
+        this._stylesHandle = adoptStyles(root, this._styles);
+      } else {
+        root = this._fragment = document.createDocumentFragment();
+        if (this._dispatch === null && parent === HTMLElement) {
+          // Restarting: discard the DOM built by the halted app, but not the
+          // content that the consumer placed inside the tag. A fresh one will
+          // be appended by connectedCallback. If the halted app has a render
+          // pending, it still needs a parent for the node that it patches.
+          const rendered = this._vnode?.node;
+          if (rendered?.parentNode === this) {
+            document.createDocumentFragment().appendChild(rendered);
+          }
+        }
+      }
 
       // Before creating component's DOM, we need a trivial node that Hyperapp
       // can replace, such as <span>. Hyperapp always _replaces_ the node that
       // it is given to start with. However, if no `view` function is provided,
       // i.e. the component has no visual UI, there is no root node, so it is
-      // unnecessary to create a `span` element.
-      const span = view
-        ? root.appendChild(document.createElement('span'))
+      // unnecessary to create a `span` element. When hydrating, Hyperapp is
+      // given the server-rendered node instead, which it patches in place.
+      const node = view
+        ? serverRenderedNode || root.appendChild(document.createElement('span'))
         : undefined;
+      this._vnode = node && { node };
 
       // Configure our dispatch initialiser.
       const wrappedDispatch = this.wrapDispatch.bind(this);
-      if (typeof dispatch === 'function') {
-        // Consumer supplied dispatch initialiser. Hyperapp can accept only a
-        // single dispatch initialiser, so we need to combine it with our own.
-        dispatch = combineDispatchInitialisers(wrappedDispatch, dispatch);
-      } else {
-        dispatch = wrappedDispatch;
-      }
+      const dispatchInitialiser =
+        typeof dispatch === 'function'
+          ? // Consumer supplied dispatch initialiser. Hyperapp can accept only
+            // a single dispatch initialiser, so we need to combine it with our
+            // own.
+            combineDispatchInitialisers(wrappedDispatch, dispatch.bind(this))
+          : wrappedDispatch;
+
+      this._suspended = false;
 
       app({
-        init,
-        view,
-        subscriptions,
-        dispatch,
-        node: span,
+        init: initialState,
+        // If the app is halted while a render is pending, Hyperapp will call
+        // the view with an undefined state. Render the final state instead.
+        view:
+          view &&
+          ((state) =>
+            (this._vnode = view(state === undefined ? this._state : state))),
+        // While the component is out of the DOM, no subscriptions are active.
+        subscriptions:
+          appSubscriptions &&
+          ((state) =>
+            this._suspended
+              ? []
+              : this.bindSubscriptions(appSubscriptions(state))),
+        dispatch: dispatchInitialiser,
+        node,
       });
-    }
+
+      // Replay anything that was dispatched while the app was halted.
+      const pending = this._pendingDispatches || [];
+      this._pendingDispatches = undefined;
+      for (const entry of pending) {
+        if (typeof entry === 'function') {
+          entry();
+        } else {
+          this.dispatchAction(entry[0], entry[1]);
+        }
+      }
+    }
+
+    /**
+     * Halts the app and frees its relevant resources. The state is retained so
+     * that the app can be restarted if the component re-enters the DOM.
+     */
+    destroyApp() {
+      clearTimeout(this._teardownTimer);
+      if (!this._dispatch) return;
+
+      // Cancel timers, requests etc. that Effects have started.
+      for (const cancel of this._pendingWork || []) {
+        cancel();
+      }
+      this._pendingWork = undefined;
+
+      // Calling the dispatch function with no arguments is the official way to
+      // halt the app and free its relevant resources. Our copy of the state is
+      // not affected.
+      this._dispatch();
+
+      // null (rather than undefined) signifies that the app was started and
+      // then halted.
+      this._dispatch = null;
+      this._fragment = undefined;
+    }
+
+    /**
+     * Stops the app's subscriptions without halting the app.
+     *
+     * @private
+     */
+    suspendApp() {
+      if (this._suspended || !this._dispatch) return;
+      this._suspended = true;
+      this.refreshSubscriptions();
+    }
+
+    /**
+     * Restarts the app's subscriptions after they were suspended.
+     *
+     * @private
+     */
+    resumeApp() {
+      if (!this._suspended) return;
+      this._suspended = false;
+      this.refreshSubscriptions();
+    }
+
+    /**
+     * Hyperapp re-evaluates the subscriptions only when the state changes, so
+     * dispatch a shallow copy of the state to get it to do that.
+     *
+     * @private
+     */
+    refreshSubscriptions() {
+      if (appSubscriptions && this._state && typeof this._state === 'object') {
+        this.dispatchAction(RefreshState);
+      }
+    }
 
     /**
      * Called by the host (usually a browser) when the component enters the DOM.
@@ -173,241 +1098,1197 @@ function generateClass({
      * is not allowed in the constructor. However, if this is an extension of a
      * native element, we should not be writing any DOM at all as the native
      * functionality takes care of that.
+     *
+     * If the component is re-entering the DOM, e.g. because it was moved, its
+     * app is resumed, or restarted if it was halted in the meantime.
      */
     connectedCallback() {
-      if (!useShadowDOM && parent === HTMLElement) {
+      clearTimeout(this._teardownTimer);
+
+      if (this._dispatch === undefined) {
+        // The app has not started yet. Connecting the component is finished
+        // when it does.
+        if (!this._cancelStart) {
+          this.scheduleStart();
+        }
+        if (this._dispatch === undefined) return;
+      } else if (this._dispatch === null) {
+        this.startApp(this._state);
+      } else {
+        this.resumeApp();
+      }
+
+      // A component that was created outside the DOM can restore its values
+      // only now that they can be identified.
+      if (persistConfig && this._persistKey === undefined) {
+        this.restoreLater();
+      }
+
+      // By now, the attributes in the HTML tag have been applied.
+      if (!this._checkedRequired) {
+        this._checkedRequired = true;
+        this.checkRequired();
+      }
+
+      if (!useShadowDOM && parent === HTMLElement && this._fragment) {
         this.appendChild(this._fragment);
+        this._fragment = undefined;
+      }
+
+      if (!useShadowDOM && parent === HTMLElement) {
+        this.adoptLightDOMStyles();
+      }
+
+      if (observeContent && useShadowDOM) {
+        this.observeContent();
+      }
+
+      // ARIA attributes and custom state attributes, where they are needed,
+      // could not be set while the component was out of the DOM, and neither
+      // could attributes whose `reflect` mode is 'sync'.
+      this.syncAccessibility();
+      if (this._pendingReflections?.size) {
+        this.flushAttributes();
+      }
+
+      // The context providers and the language may be different now.
+      for (const request of this._contextRequests || []) {
+        request();
+      }
+    }
+
+    /**
+     * For Light DOM components, adds the component's styles to the Document or
+     * ShadowRoot that contains it, unless they are already there.
+     *
+     * @param {boolean} [replace] Whether to replace styles that are already
+     *      there.
+     * @private
+     */
+    adoptLightDOMStyles(replace) {
+      const root = this.getRootNode();
+      if (lightDOMStyles.has(root) && !replace) return;
+
+      removeStyles(lightDOMStyles.get(root));
+      const scoped = this._styles && scopeStyles(this._styles, this.localName);
+      lightDOMStyles.set(root, adoptStyles(root, scoped));
+    }
+
+    /**
+     * Replaces the component's styles. Called by the `setStyles` Effect.
+     * Shadow DOM components' styles are replaced only in this instance. Light
+     * DOM components' styles are replaced for every instance in the same
+     * Document or ShadowRoot.
+     *
+     * @param {Styles} newStyles
+     * @private
+     */
+    replaceStyles(newStyles) {
+      this._styles = newStyles;
+      if (useShadowDOM) {
+        removeStyles(this._stylesHandle);
+        this._stylesHandle = adoptStyles(this._shadowRoot, newStyles);
+      } else if (this.isConnected && parent === HTMLElement) {
+        this.adoptLightDOMStyles(true);
+      }
+    }
+
+    /**
+     * Starts watching for changes to the component's child nodes and to the
+     * nodes assigned to its slots.
+     *
+     * @private
+     */
+    observeContent() {
+      if (!this._contentObserver) {
+        this._contentObserver = new MutationObserver(() =>
+          this.scheduleContentUpdate()
+        );
+        this._onSlotChange = () => this.scheduleContentUpdate();
+      }
+      this._contentObserver.observe(this, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true,
+      });
+      this._shadowRoot.addEventListener('slotchange', this._onSlotChange);
+
+      // Report the content that is already there, once the view has rendered
+      // the slots that it is assigned to.
+      afterRender(this, () => this.scheduleContentUpdate());
+    }
+
+    /**
+     * Stops watching for changes to the component's content.
+     *
+     * @private
+     */
+    unobserveContent() {
+      if (!this._contentObserver) return;
+      this._contentObserver.disconnect();
+      this._shadowRoot.removeEventListener('slotchange', this._onSlotChange);
+    }
+
+    /**
+     * Arranges for the content summary to be updated once, after a burst of
+     * changes, rather than once per change.
+     *
+     * @private
+     */
+    scheduleContentUpdate() {
+      if (this._contentUpdatePending) return;
+      this._contentUpdatePending = true;
+      queueMicrotask(() => {
+        this._contentUpdatePending = false;
+        this.updateContentSummary();
+      });
+    }
+
+    /**
+     * Passes a summary of the component's content to the
+     * `observeContent.onChange` Action, if it has changed.
+     *
+     * @private
+     */
+    updateContentSummary() {
+      if (!this.isConnected) return;
+
+      const summary = summariseContent(
+        this,
+        this._shadowRoot,
+        observeContent.summarise
+      );
+      const json = JSON.stringify(summary);
+      if (json === this._contentSummary) return;
+
+      this._contentSummary = json;
+      this.dispatchAction(observeContent.onChange, summary);
+    }
+
+    /**
+     * Suspends or halts the app, depending on `disconnectMode`, when called by
+     * the host (usually a browser).
+     */
+    disconnectedCallback() {
+      this.unobserveContent();
+
+      // A component that is not in the DOM does not need its app yet.
+      this._cancelStart?.();
+      this._cancelStart = undefined;
+
+      // Don't risk losing a pending write if the page is being unloaded.
+      if (this._persistTimer) {
+        this.persistState();
+      }
+
+      switch (disconnectMode) {
+        case 'keep-alive':
+          this.suspendApp();
+          break;
+
+        case 'destroy':
+          this.destroyApp();
+          break;
+
+        case 'grace':
+        default:
+          this.suspendApp();
+          clearTimeout(this._teardownTimer);
+          this._teardownTimer = setTimeout(
+            () => this.destroyApp(),
+            teardownDelay
+          );
+      }
+    }
+
+    /**
+     * A dispatch initialiser that generates a wrapped version of Hyperapp's
+     * dispatch function.
+     *
+     * As a result, all Actions and Effects that are dispatched are bound to the
+     * CustomElement instance as `this`, and our internal `_state` property is
+     * updated every time an Action changes the state.
+     *
+     * It is very useful for Actions and Effects dispatched by the component to
+     * have a value of `this` that refers to the component. For example, without
+     * this it would be challenging for components to dispatch events to their
+     * consumers.
+     *
+     * In addition, every action can potentially update the state. We want to
+     * know when this happens so that we can keep CustomElement properties and
+     * HTML attributes synchronised.
+     *
+     * @param {function} dispatch
+     * @returns {function} a modified dispatch function
+     */
+    wrapDispatch(dispatch) {
+      /**
+       * Binds an action to this element.
+       * When used in conjunction with additional middleware that wraps actions
+       * and effects, it copies the $isWrapped indicator from the unbound
+       * function to the bound function. This can be used by the middleware to
+       * prevent rewrapping wrapped functions.
+       *
+       * @param {Hyperapp.Action} action
+       */
+      const bindToThis = (action) => {
+        const bound = action.bind(this);
+        const isWrapped = action['$isWrapped'];
+        if (isWrapped) {
+          bound['$isWrapped'] = true;
+        }
+        return bound;
+      };
+
+      /**
+       * Binds an Effecter to this element, and lets an exposed method that is
+       * waiting for it to complete observe it.
+       *
+       * @param {function} effecter
+       */
+      const bindEffecter = (effecter) => {
+        const bound = bindToThis(effecter);
+        return this._watchEffecter
+          ? this._watchEffecter(effecter, bound)
+          : bound;
+      };
+
+      const newDispatch = (action, props) => {
+        // In order to bind the Actions and Effecter functions to the component,
+        // we need to identify the action functions and Effecter functions in
+        // the various signatures of the dispatch function.
+        // Also, we need to identify and capture changes of state.
+
+        let newState;
+        if (typeof action === 'function') {
+          // The dispatch function is being called like this:
+          //   `dispatch(function, props?)`
+          // The function is an action function. We need to bind it.
+          action = bindToThis(action);
+        } else if (Array.isArray(action)) {
+          // The dispatch function is being called like this:
+          //   `dispatch([...])`
+          // If the first element of the array is either an action function or
+          // a new state value.
+          if (typeof action[0] === 'function') {
+            // The first element of the array is an action function.
+            // We need to bind it.
+            action[0] = bindToThis(action[0]);
+          } else {
+            // The first element of the array is a new state value.
+            // We need to capture it.
+            newState = action[0];
+
+            // The remaining elements are Effect tuples, or bare Effecter
+            // functions. We need to bind the Effecter functions.
+            for (let i = 1; i < action.length; i++) {
+              const effect = action[i];
+              if (Array.isArray(effect)) {
+                // This element is an Effect tuple: [Effecter, props]
+                effect[0] = bindEffecter(effect[0]);
+              } else if (typeof effect === 'function') {
+                // This element is a bare Effecter.
+                action[i] = bindEffecter(effect);
+              }
+            }
+          }
+        } else {
+          // The dispatch function is being called like this:
+          //   `dispatch(state)`
+          // We need to capture the state.
+          newState = action;
+        }
+
+        // Capture the new state. We purposely do this before calling dispatch.
+        // The call to dispatch returns only after all Effects have been
+        // processed. If any of the Effects dispatches an event that is designed
+        // to be listened to by the consuming application, the state of the
+        // CustomElement will not otherwise reflect the new situation.
+        if (newState !== undefined) {
+          this._state = newState;
+        }
+
+        // Now call the original dispatch.
+        dispatch(action, props);
+
+        // Any modification of the state may need to be synced to the HTML
+        // attributes and the form value as well, and may need to be announced.
+        if (newState !== undefined) {
+          const changed = this.changedValues();
+          this.syncAttributes(changed);
+          this.syncAccessibility();
+          this.syncFormValue();
+          this.notifyChanges(changed);
+          this.updateContexts();
+          this.schedulePersist();
+        }
+      };
+
+      // Save a reference to dispatch, so that we can call it whenever we want.
+      this._dispatch = dispatch;
+
+      return newDispatch; // Hyperapp will use this instead of the original.
+    }
+
+    /**
+     * Binds the Subscribers of the app's Subscriptions to this element, as the
+     * Effecters are, so that they can interact with it. The same Subscriber is
+     * always bound to the same function, so that Hyperapp does not restart the
+     * Subscription.
+     *
+     * @param {Array} subs The Subscriptions returned by `subscriptions`.
+     * @returns {Array}
+     * @private
+     */
+    bindSubscriptions(subs) {
+      const bound = (this._boundSubscribers ??= new WeakMap());
+      return subs.map((sub) => {
+        if (!Array.isArray(sub) || typeof sub[0] !== 'function') return sub;
+        if (!bound.has(sub[0])) {
+          bound.set(sub[0], sub[0].bind(this));
+        }
+        return [bound.get(sub[0]), sub[1]];
+      });
+    }
+
+    /**
+     * Dispatches a Hyperapp Action to change the state.
+     * Afterwards, ensures that HTML attributes are brought into sync with the
+     * new internal state.
+     *
+     * @param {Hyperapp.Action} action
+     * @param {Object} props
+     * @param {*} [key] Identifies what the Action changes. If the app is not
+     *      running, a pending dispatch with the same key is discarded, because
+     *      this one supersedes it.
+     * @private
+     */
+    dispatchAction(action, props, key) {
+      if (this._dispatch) {
+        this._dispatch(action, props);
+      } else {
+        // The app has not started yet, or has been halted. Hold on to this
+        // until it starts or is restarted. A component that never re-enters
+        // the DOM keeps only the latest value of each property.
+        const pending = (this._pendingDispatches || []).filter(
+          (entry) => key === undefined || entry[2] !== key
+        );
+        pending.push([action, props, key]);
+        this._pendingDispatches = pending;
+      }
+    }
+
+    /**
+     * Implements an exposed method. This is called by automatically generated
+     * methods, and is not designed to be used directly.
+     *
+     * If the method awaits an Effect while the app is halted, the call is made
+     * when the app is restarted, i.e. when the component re-enters the DOM, and
+     * the Promise settles after that.
+     *
+     * @param {Object} cfg method configuration object
+     * @param {Array} args The arguments that the method was called with.
+     * @returns {*} The method's return value.
+     * @private
+     */
+    callMethod(cfg, args) {
+      this.startNow();
+
+      const { action, params, returns, awaitEffect } = cfg;
+      if (awaitEffect && this._dispatch === null) {
+        return new Promise((resolve) => {
+          this._pendingDispatches = [
+            ...(this._pendingDispatches || []),
+            () => resolve(this.callMethod(cfg, args)),
+          ];
+        });
+      }
+
+      const payload = params
+        ? Object.fromEntries(params.map((param, i) => [param, args[i]]))
+        : args[0];
+
+      if (!awaitEffect) {
+        this.dispatchAction(action, payload);
+        return returns ? returns(this._state, payload) : undefined;
+      }
+
+      // An Effect creator exported by this library knows its Effecter.
+      const awaited = awaitEffect.effecter || awaitEffect;
+
+      // Hyperapp runs the Effects that result from an Action before dispatch
+      // returns, so we can capture the outcomes of the awaited Effecter while
+      // the Action is being dispatched. An Effecter that performs an
+      // asynchronous task signals its completion by returning a Promise.
+      const outcomes = [];
+      const previousWatcher = this._watchEffecter;
+      this._watchEffecter = (effecter, bound) => {
+        const watched = previousWatcher
+          ? previousWatcher(effecter, bound)
+          : bound;
+        if (effecter !== awaited) return watched;
+
+        return function (...effecterArgs) {
+          try {
+            const outcome = watched.apply(this, effecterArgs);
+            outcomes.push(outcome);
+            return outcome;
+          } catch (err) {
+            outcomes.push(Promise.reject(err));
+          }
+        };
+      };
+
+      try {
+        this.dispatchAction(action, payload);
+      } finally {
+        this._watchEffecter = previousWatcher;
+      }
+
+      return Promise.all(outcomes).then((values) =>
+        returns ? returns(this._state, payload) : values[0]
+      );
+    }
+
+    /**
+     * Returns the exposed values that are reflected into attributes or
+     * announced by change notification events, and that have changed since the
+     * last time this was called. The first time, that is all of them. Other
+     * values are computed only when they are read.
+     *
+     * @returns {Set<Object>} Their property/attribute configuration objects.
+     * @private
+     */
+    changedValues() {
+      this._reportedValues = this._reportedValues || new Map();
+      const changed = new Set();
+      for (const cfg of watchedConfig) {
+        const value = this.getValue(cfg);
+        if (
+          !this._reportedValues.has(cfg) ||
+          !Object.is(value, this._reportedValues.get(cfg))
+        ) {
+          this._reportedValues.set(cfg, value);
+          changed.add(cfg);
+        }
+      }
+      return changed;
+    }
+
+    /**
+     * Ensures that exposed values that have changed are reflected in the
+     * attributes where relevant. Attributes whose `reflect` mode is 'sync' are
+     * updated immediately, unless the component is out of the DOM, e.g. while
+     * it is being constructed, when adding attributes is not allowed. The rest
+     * are updated once, in a microtask, however many times the state changes
+     * in the meantime.
+     *
+     * @param {Set<Object>} changed The property/attribute configuration objects
+     *      of the exposed values that have changed.
+     */
+    syncAttributes(changed) {
+      const pending = (this._pendingReflections ??= new Set());
+      const wasPending = pending.size > 0;
+      for (const cfg of changed) {
+        if (!cfg.attrName) continue;
+        const mode = reflectMode(cfg);
+        if (mode === 'sync' && this.isConnected) {
+          this.syncAttribute(cfg);
+        } else if (mode) {
+          pending.add(cfg);
+        }
+      }
+
+      if (pending.size && !wasPending) {
+        queueMicrotask(() => this.flushAttributes());
+      }
+    }
+
+    /**
+     * Reflects the current values of the attributes whose values have changed
+     * and have not been reflected yet.
+     *
+     * @private
+     */
+    flushAttributes() {
+      const pending = this._pendingReflections;
+      this._pendingReflections = new Set();
+      for (const cfg of pending) {
+        this.syncAttribute(cfg);
+      }
+    }
+
+    /**
+     * Syncs the state of an HTML attribute with its parallel CustomElement
+     * property. Not to be used to set attribute values.
+     *
+     * The attribute is written only if the value that it represents would
+     * change, e.g. not from '05' to '5', and never while the value is
+     * undefined, because then it may be stored elsewhere. Writing it
+     * does not cause the value to be dispatched back into the state.
+     *
+     * @param {string} cfg property/attribute configuration object
+     * @private
+     */
+    syncAttribute(cfg) {
+      const value = this.getValue(cfg);
+      if (value === undefined) return;
+
+      // Leave the attribute alone if it already represents the value, perhaps
+      // in another form, e.g. '05' for 5.
+      const { converter } = cfg;
+      const attrValue = converter.toAttribute(value);
+      const current = this.getAttribute(cfg.attrName);
+      if (
+        attrValue === current ||
+        (current !== null &&
+          attrValue === converter.toAttribute(converter.fromAttribute(current)))
+      ) {
+        return;
+      }
+
+      this._reflecting = true;
+      try {
+        if (attrValue === null) {
+          this.removeAttribute(cfg.attrName);
+        } else {
+          this.setAttribute(cfg.attrName, attrValue);
+        }
+      } finally {
+        this._reflecting = false;
+      }
+    }
+
+    /**
+     * Dispatches change notification events for exposed values that have
+     * changed since the last time they were announced. The first time, the
+     * values are just recorded.
+     *
+     * @param {Set<Object>} changed The property/attribute configuration objects
+     *      of the exposed values that have changed.
+     * @private
+     */
+    notifyChanges(changed) {
+      this._notifiedValues = this._notifiedValues || new Map();
+      for (const cfg of changed) {
+        if (!cfg.notify) continue;
+
+        const value = this.getValue(cfg);
+        const known = this._notifiedValues.has(cfg);
+        const oldValue = this._notifiedValues.get(cfg);
+        this._notifiedValues.set(cfg, value);
+
+        if (known && !Object.is(value, oldValue)) {
+          this.dispatchEvent(
+            new CustomEvent(notificationType(cfg), {
+              detail: { value, oldValue },
+            })
+          );
+        }
+      }
+    }
+
+    /**
+     * Applies the ARIA properties and custom states that are derived from the
+     * state, if they have changed.
+     *
+     * @private
+     */
+    syncAccessibility() {
+      if (aria) {
+        const applied = (this._appliedAria ??= new Map());
+        for (const propName in aria) {
+          const value =
+            typeof aria[propName] === 'function'
+              ? aria[propName](this._state)
+              : aria[propName];
+          if (applied.has(propName) && applied.get(propName) === value) {
+            continue;
+          }
+          if (this.applyAriaProperty(propName, value)) {
+            applied.set(propName, value);
+          }
+        }
+      }
+
+      if (states) {
+        const applied = (this._appliedStates ??= new Map());
+        for (const stateName in states) {
+          const value = !!states[stateName](this._state);
+          if (applied.get(stateName) === value) continue;
+          if (this.applyCustomState(stateName, value)) {
+            applied.set(stateName, value);
+          }
+        }
+      }
+    }
+
+    /**
+     * Sets an ARIA property via ElementInternals, or, if it does not support
+     * it, the corresponding attribute.
+     *
+     * @param {string} propName e.g. 'role' or 'ariaValueNow'.
+     * @param {*} value
+     * @returns {boolean} false if the attribute could not be set yet, because
+     *      the component is not in the DOM.
+     * @private
+     */
+    applyAriaProperty(propName, value) {
+      if (value === undefined) value = null;
+      if (this._internals && propName in this._internals) {
+        try {
+          this._internals[propName] =
+            value === null || typeof value === 'object' ? value : String(value);
+          return true;
+        } catch (err) {
+          // The property is declared, but not implemented, as in some DOM
+          // implementations that are used for testing. Use the attribute.
+        }
+      }
+
+      // Attributes cannot be added by the constructor.
+      if (!this.isConnected) return false;
+      const attrName =
+        propName === 'role'
+          ? 'role'
+          : `aria-${propName.slice(4).toLowerCase()}`;
+      // Element references have no attribute equivalent.
+      this.setFallbackAttribute(
+        attrName,
+        value === null || typeof value === 'object' ? null : String(value)
+      );
+      return true;
+    }
+
+    /**
+     * Sets or clears a CSS custom state, or, if custom states are not
+     * supported, a `data-state-<name>` attribute.
+     *
+     * @param {string} stateName
+     * @param {boolean} value
+     * @returns {boolean} false if the attribute could not be set yet, because
+     *      the component is not in the DOM.
+     * @private
+     */
+    applyCustomState(stateName, value) {
+      const customStates = this._internals?.states;
+      if (customStates) {
+        try {
+          customStates[value ? 'add' : 'delete'](stateName);
+        } catch (err) {
+          // Engines that implemented an earlier draft require a `--` prefix,
+          // which is matched by `:--name`.
+          customStates[value ? 'add' : 'delete'](`--${stateName}`);
+        }
+        return true;
+      }
+
+      // Attributes cannot be added by the constructor.
+      if (!this.isConnected) return false;
+      this.setFallbackAttribute(`data-state-${stateName}`, value ? '' : null);
+      return true;
+    }
+
+    /**
+     * Sets or removes an attribute that stands in for an ARIA property or a
+     * custom state. Attributes that the author set are left alone, and only
+     * attributes that this component set are removed.
+     *
+     * @param {string} attrName
+     * @param {string?} value The value to set, or null to remove it.
+     * @private
+     */
+    setFallbackAttribute(attrName, value) {
+      const written = (this._fallbackAttributes ??= new Map());
+      const current = this.getAttribute(attrName);
+      if (current !== null && current !== written.get(attrName)) {
+        written.delete(attrName);
+        return;
+      }
+
+      if (value === null) {
+        this.removeAttribute(attrName);
+        written.delete(attrName);
+      } else {
+        this.setAttribute(attrName, value);
+        written.set(attrName, value);
+      }
+    }
+
+    /**
+     * For form-associated components, passes the form value and restorable
+     * state derived from the current state to the form, if they have changed.
+     *
+     * @private
+     */
+    syncFormValue() {
+      if (!formConfig?.value) return;
+
+      const value = formConfig.value(this._state);
+      const state = formConfig.state ? formConfig.state(this._state) : value;
+
+      const previous = this._submittedFormValue;
+      if (previous && previous[0] === value && previous[1] === state) return;
+
+      this._submittedFormValue = [value, state];
+      this._internals.setFormValue(value, state);
+    }
+
+    /**
+     * Called by the host (usually a browser) when a form-associated component
+     * is associated with a form, or disassociated from it.
+     *
+     * @param {HTMLFormElement|null} form
+     */
+    formAssociatedCallback(form) {
+      if (formConfig?.onAssociated) {
+        this.dispatchAction(formConfig.onAssociated, form);
+      }
+    }
+
+    /**
+     * Called by the host (usually a browser) when the form that a
+     * form-associated component belongs to is reset.
+     */
+    formResetCallback() {
+      if (formConfig?.onReset) {
+        this.dispatchAction(formConfig.onReset);
+      }
+    }
+
+    /**
+     * Called by the host (usually a browser) when a form-associated component
+     * is disabled or enabled.
+     *
+     * @param {boolean} disabled
+     */
+    formDisabledCallback(disabled) {
+      if (formConfig?.onDisabled) {
+        this.dispatchAction(formConfig.onDisabled, disabled);
+      }
+    }
+
+    /**
+     * Called by the host (usually a browser) when it restores the state of a
+     * form-associated component.
+     *
+     * @param {*} state The state that was passed to the form.
+     * @param {string} mode 'restore' or 'autocomplete'.
+     */
+    formStateRestoreCallback(state, mode) {
+      if (formConfig?.onStateRestore) {
+        this.dispatchAction(formConfig.onStateRestore, { state, mode });
+      }
+    }
+
+    /**
+     * Returns a property value. This is called by automatically generated
+     * property getters, and is not designed to be used directly.
+     *
+     * @param {string} propName
+     * @returns {*} value of the named property.
+     * @private
+     */
+    getProperty(propName) {
+      if (this._dispatch === undefined) return undefined;
+      return this.getValue(exposedProps.get(propName));
+    }
+
+    /**
+     * Returns the current value of an exposed property or attribute.
+     *
+     * @param {Object} cfg property/attribute configuration object
+     * @returns {*}
+     * @private
+     */
+    getValue(cfg) {
+      const state = this._state;
+      const cache = (this._computedValues ??= new Map());
+      const entry = cache.get(cfg);
+      if (entry && entry.state === state) return entry.value;
+
+      // If the getter's inputs have not changed, neither has its result.
+      const inputs = cfg.inputs?.map((input) =>
+        typeof input === 'function' ? input(state) : state?.[input]
+      );
+      if (
+        entry &&
+        inputs &&
+        inputs.every((input, i) => Object.is(input, entry.inputs[i]))
+      ) {
+        entry.state = state;
+        return entry.value;
+      }
+
+      // If a getter was supplied for this property, use it.
+      const name = cfg.propName || cfg.attrName;
+      const getter = cfg.getter || ((state) => state?.[name]);
+
+      const value = getter(state);
+      cache.set(cfg, { state, inputs, value });
+      return value;
+    }
+
+    /**
+     * Sets a property value. This is called by automatically generated
+     * property setters, and is not designed to be used directly.
+     *
+     * @param {string} propName
+     * @param {*} value
+     * @private
+     */
+    setProperty(propName, value) {
+      this.setValue(exposedProps.get(propName), value);
+    }
+
+    /**
+     * Validates a new value for an exposed property or attribute, and if it is
+     * acceptable, dispatches the setter Action that incorporates it into the
+     * state.
+     *
+     * @param {Object} cfg property/attribute configuration object
+     * @param {*} value
+     * @private
+     */
+    setValue(cfg, value) {
+      const result = validateValue(cfg, value);
+      if (result.reason) {
+        this.reportInvalidValue(cfg, value, result.reason);
+      }
+      if (!result.accept) return;
+
+      // Prefer propName to attrName when sending to action.
+      const name = cfg.propName || cfg.attrName;
+
+      // Hyperapp state is updated only by invoking an action:
+      this.dispatchAction(cfg.setter, { [name]: result.value }, cfg);
+    }
+
+    /**
+     * Tells the consuming app that it has assigned an invalid value to an
+     * exposed property or attribute, by dispatching an 'invalid-value' event.
+     * Unless the event is cancelled, a warning is also written to the console.
+     *
+     * @param {Object} cfg property/attribute configuration object
+     * @param {*} value The invalid value.
+     * @param {string} reason The name of the rule that the value broke.
+     * @private
+     */
+    reportInvalidValue(cfg, value, reason) {
+      const name = cfg.propName || cfg.attrName;
+      const ev = new CustomEvent('invalid-value', {
+        bubbles: true,
+        composed: true,
+        cancelable: true,
+        detail: {
+          name,
+          propName: cfg.propName,
+          attrName: cfg.attrName,
+          value,
+          reason,
+        },
+      });
+      if (this.dispatchEvent(ev)) {
+        console.warn(
+          `<${this.localName}>: invalid value for ${name} (${reason}):`,
+          value
+        );
+      }
+    }
+
+    /**
+     * Passes the default values to the setters of exposed properties and
+     * attributes whose values have not been set by the initial state.
+     *
+     * @private
+     */
+    applyDefaults() {
+      for (const cfg of exposedConfig) {
+        if ('default' in cfg && this.getValue(cfg) === undefined) {
+          this.setValue(cfg, cfg.default);
+        }
+      }
+    }
+
+    /**
+     * Returns the key under which the component's state is persisted. It is
+     * determined when the component first enters the DOM, and does not change
+     * after that.
+     *
+     * @returns {string|null|undefined} null if the state is not persisted, or
+     *      undefined if the component has not entered the DOM yet.
+     * @private
+     */
+    persistKey() {
+      if (this._persistKey === undefined && this.isConnected) {
+        const id = this.getAttribute('persist-key') || this.id;
+        if (id) {
+          this._persistKey = `${this.localName}#${id}`;
+        } else if (persistConfig.shared) {
+          this._persistKey = this.localName;
+        } else {
+          this._persistKey = null;
+          console.warn(
+            `<${this.localName}>: not persisted, because it has neither a ` +
+              'persist-key attribute nor an id'
+          );
+        }
+      }
+      return this._persistKey;
+    }
+
+    /**
+     * Merges persisted values, if any, into the initial state. If the initial
+     * state is produced by an Action, the values are instead applied as soon
+     * as the Action has been dispatched, before the first render.
+     *
+     * @param {Object|Hyperapp.Action} initialState
+     * @returns {Object|Hyperapp.Action}
+     * @private
+     */
+    restoreState(initialState) {
+      if (!persistConfig || !this.persistKey()) return initialState;
+
+      const values = loadState(
+        getStorage(persistConfig.storage),
+        this.persistKey(),
+        persistConfig.keys
+      );
+      if (!values) return initialState;
+
+      if (
+        Array.isArray(initialState) &&
+        typeof initialState[0] !== 'function'
+      ) {
+        // A state followed by Effects.
+        const [state, ...effects] = initialState;
+        return [{ ...state, ...values }, ...effects];
+      }
+      if (typeof initialState === 'function' || Array.isArray(initialState)) {
+        // startApp replays these after dispatching the initial Action, before
+        // any values that were set before the app started.
+        this._pendingDispatches = [
+          [PatchState, values],
+          ...(this._pendingDispatches || []),
+        ];
+        return initialState;
+      }
+      return { ...initialState, ...values };
+    }
+
+    /**
+     * Applies persisted values, if any, to a running app that could not
+     * restore them when it started, because the component was not in the DOM.
+     *
+     * @private
+     */
+    restoreLater() {
+      if (!this.persistKey()) return;
+
+      const values = loadState(
+        getStorage(persistConfig.storage),
+        this.persistKey(),
+        persistConfig.keys
+      );
+      if (values) {
+        this.dispatchAction(PatchState, values);
       }
+
+      // Changes made before now could not be written.
+      this.schedulePersist();
     }
 
     /**
-     * Cleans up when called by the host (usually a browser).
+     * Schedules a write of the persisted parts of the state to storage.
+     *
+     * @private
      */
-    disconnectedCallback() {
-      // Calling the dispatch function with no arguments is the official way to
-      // halt the app and free its relevant resources.
-      this._dispatch();
-      this._dispatch = undefined;
-      this._fragment = undefined;
+    schedulePersist() {
+      if (!persistConfig) return;
+      clearTimeout(this._persistTimer);
+      this._persistTimer = setTimeout(
+        () => this.persistState(),
+        persistConfig.delay
+      );
     }
 
     /**
-     * A dispatch initialiser that generates a wrapped version of Hyperapp's
-     * dispatch function.
-     *
-     * As a result, all Actions and Effects that are dispatched are bound to the
-     * CustomElement instance as `this`, and our internal `_state` property is
-     * updated every time an Action changes the state.
+     * Writes the persisted parts of the state to storage, unless they are
+     * already there.
      *
-     * It is very useful for Actions and Effects dispatched by the component to
-     * have a value of `this` that refers to the component. For example, without
-     * this it would be challenging for components to dispatch events to their
-     * consumers.
-     *
-     * In addition, every action can potentially update the state. We want to
-     * know when this happens so that we can keep CustomElement properties and
-     * HTML attributes synchronised.
-     *
-     * @param {function} dispatch
-     * @returns {function} a modified dispatch function
+     * @private
      */
-    wrapDispatch(dispatch) {
-      /**
-       * Binds an action to this element.
-       * When used in conjunction with additional middleware that wraps actions
-       * and effects, it copies the $isWrapped indicator from the unbound
-       * function to the bound function. This can be used by the middleware to
-       * prevent rewrapping wrapped functions.
-       *
-       * @param {Hyperapp.Action} action
-       */
-      const bindToThis = (action) => {
-        const bound = action.bind(this);
-        const isWrapped = action['$isWrapped'];
-        if (isWrapped) {
-          bound['$isWrapped'] = true;
-        }
-        return bound;
-      };
-
-      const newDispatch = (action, props) => {
-        // In order to bind the Actions and Effecter functions to the component,
-        // we need to identify the action functions and Effecter functions in
-        // the various signatures of the dispatch function.
-        // Also, we need to identify and capture changes of state.
+    persistState() {
+      clearTimeout(this._persistTimer);
+      this._persistTimer = undefined;
+      if (!this.persistKey()) return;
 
-        let newState;
-        if (typeof action === 'function') {
-          // The dispatch function is being called like this:
-          //   `dispatch(function, props?)`
-          // The function is an action function. We need to bind it.
-          action = bindToThis(action);
-        } else if (Array.isArray(action)) {
-          // The dispatch function is being called like this:
-          //   `dispatch([...])`
-          // If the first element of the array is either an action function or
-          // a new state value.
-          if (typeof action[0] === 'function') {
-            // The first element of the array is an action function.
-            // We need to bind it.
-            action[0] = bindToThis(action[0]);
-          } else {
-            // The first element of the array is a new state value.
-            // We need to capture it.
-            newState = action[0];
+      const json = serialiseState(this._state, persistConfig.keys);
+      if (json !== this._persistedJSON) {
+        this._persistedJSON = json;
+        saveState(getStorage(persistConfig.storage), this.persistKey(), json);
+      }
+    }
 
-            // The remaining elements are Effect tuples, or bare Effecter
-            // functions. We need to bind the Effecter functions.
-            for (let i = 1; i < action.length; i++) {
-              const effect = action[i];
-              if (Array.isArray(effect)) {
-                // This element is an Effect tuple: [Effecter, props]
-                effect[0] = bindToThis(effect[0]);
-              } else {
-                // This element is a bare Effecter.
-                action[i] = bindToThis(effect);
-              }
-            }
-          }
-        } else {
-          // The dispatch function is being called like this:
-          //   `dispatch(state)`
-          // We need to capture the state.
-          newState = action;
-        }
+    /**
+     * Answers a request for a context that the component provides, unless the
+     * request comes from the component itself.
+     *
+     * @param {ContextRequestEvent} event
+     * @private
+     */
+    onContextRequest(event) {
+      const { context, callback } = event;
+      if (
+        event.composedPath()[0] === this ||
+        !Object.prototype.hasOwnProperty.call(provide, context)
+      ) {
+        return;
+      }
+      event.stopPropagation();
+      this.startNow();
 
-        // Capture the new state. We purposely do this before calling dispatch.
-        // The call to dispatch returns only after all Effects have been
-        // processed. If any of the Effects dispatches an event that is designed
-        // to be listened to by the consuming application, the state of the
-        // CustomElement will not otherwise reflect the new situation.
-        if (newState !== undefined) {
-          this._state = newState;
-        }
+      const value = provide[context](this._state);
+      if (!event.subscribe) {
+        callback(value);
+        return;
+      }
 
-        // Now call the original dispatch.
-        dispatch(action, props);
+      // A consumer that repeats its request keeps its subscription.
+      const subscribers = (this._contextSubscribers ??= new Map());
+      const unsubscribe =
+        subscribers.get(callback)?.unsubscribe ||
+        (() => subscribers.delete(callback));
+      subscribers.set(callback, { context, value, unsubscribe });
+      callback(value, unsubscribe);
+    }
 
-        // Any modification of the state may need to be synced to the HTML
-        // attributes as well.
-        if (newState !== undefined) {
-          this.syncAttributes();
+    /**
+     * Passes provided context values that have changed to their subscribers.
+     *
+     * @private
+     */
+    updateContexts() {
+      for (const [callback, entry] of this._contextSubscribers || []) {
+        const value = provide[entry.context](this._state);
+        if (value !== entry.value) {
+          entry.value = value;
+          callback(value, entry.unsubscribe);
         }
-      };
-
-      // Save a reference to dispatch, so that we can call it whenever we want.
-      this._dispatch = dispatch;
-
-      return newDispatch; // Hyperapp will use this instead of the original.
+      }
     }
 
     /**
-     * Dispatches a Hyperapp Action to change the state.
-     * Afterwards, ensures that HTML attributes are brought into sync with the
-     * new internal state.
+     * Listens to the native events that feed into the state.
      *
-     * @param {Hyperapp.Action} action
-     * @param {Object} props
      * @private
      */
-    dispatchAction(action, props) {
-      this._dispatch(action, props);
+    listenToNativeEvents() {
+      const types = new Set(Object.keys(nativeConfig.events));
+      if (nativeConfig.properties.size) {
+        // The user may have changed a property, e.g. `value` or `checked`.
+        types.add('input');
+        types.add('change');
+      }
+      for (const type of types) {
+        this.addEventListener(type, (event) => this.onNativeEvent(event));
+      }
     }
 
     /**
-     * Ensures that the top-level properties in the state are reflected in the
-     * attributes where relevant.
+     * Copies native properties into the state, and then dispatches the Action
+     * that is configured for the event, if any.
+     *
+     * @param {Event} event
+     * @private
      */
-    syncAttributes() {
-      for (const name in this._state) {
-        if (exposedProps.has(name)) {
-          // It's not an internal property. It might need to be synced to
-          // an attribute.
-          const cfg = exposedProps.get(name);
-          if (cfg.attrName) {
-            // Needs to be synced.
-            this.syncAttribute(cfg, this._state[name]);
-          }
-        }
+    onNativeEvent(event) {
+      this.syncNativeProperties();
+      const action = nativeConfig.events[event.type];
+      if (action) {
+        this.dispatchAction(action, event);
       }
     }
 
     /**
-     * Syncs the state of an HTML attribute with its parallel CustomElement
-     * property. Not to be used to set attribute values.
+     * Copies the native properties whose values have changed since they were
+     * last copied into the state.
      *
-     * @param {string} cfg property/attribute configuration object
-     * @param {string} value value of the property
-     * @private
-     */
-    syncAttribute(cfg, value) {
-      // The standard browser behaviour is that an on<event> handler can be set
-      // via an attribute, but if set via a property, the handler will not be
-      // reflected into an attribute. This might be because the attribute
-      // value, a string, is wrapped into a function before being stored
-      // internally. Serialising this function and assigning it to the attribute
-      // makes it look as if the attribute value has changed, and will cause
-      // a stack overflow when the new value handled and starts the cycle again.
-      if (cfg.eventType) return;
-
-      const attrName = cfg.attrName;
-
-      if (typeof value === 'boolean') {
-        // If the property is a boolean with a value of `true`, the HTML
-        // attribute is a flag and has no value. Setting its value to an empty
-        // string achieves this. If its value is false, we need to remove the
-        // HTML attribute.
-        if (value) {
-          this.setAttribute(attrName, '');
-        } else {
-          this.removeAttribute(attrName);
+     * @private
+     */
+    syncNativeProperties() {
+      const values = (this._nativeValues ??= new Map());
+      for (const [propName, action] of nativeConfig.properties) {
+        const value = nativeProperty(propName).get.call(this);
+        if (values.has(propName) && Object.is(values.get(propName), value)) {
+          continue;
         }
-      } else {
-        // It's not a boolean.
-
-        // If it is an empty string, undefined, null etc. the best way to
-        // represent that is by removing the attribute. Otherwise, it would
-        // either behave like a flag or have a string value of 'undefined' or
-        // 'null'.
-        if (value === undefined || value === null || value === '') {
-          this.removeAttribute(attrName);
+        values.set(propName, value);
+        if (action) {
+          this.dispatchAction(action, value);
         } else {
-          this.setAttribute(attrName, value);
+          this.dispatchAction(PatchState, { [propName]: value });
         }
       }
     }
 
     /**
-     * Returns a property value. This is called by automatically generated
-     * property getters, and is not designed to be used directly.
+     * Sets properties of the native element. Those that are copied into the
+     * state are not copied again, because the state that the
+     * `setNativeProperties` Effect results from already has their values.
      *
-     * @param {string} propName
-     * @returns {*} value of the named property.
+     * @param {Object} values Maps property names to values.
      * @private
      */
-    getProperty(propName) {
-      // If a getter was supplied for this property, use it.
-      const attr = exposedProps.get(propName);
-      const getter = attr.getter || ((state) => state?.[propName]);
-
-      return getter(this._state);
+    setNativeProperties(values) {
+      for (const [propName, value] of Object.entries(values)) {
+        const descriptor = nativeProperty(propName);
+        if (!descriptor.set) {
+          throw new TypeError(`The native property ${propName} is read-only`);
+        }
+        descriptor.set.call(this, value);
+        if (nativeConfig?.properties.has(propName)) {
+          (this._nativeValues ??= new Map()).set(
+            propName,
+            descriptor.get.call(this)
+          );
+        }
+      }
     }
 
     /**
-     * Sets a property value. This is called by automatically generated
-     * property setters, and is not designed to be used directly.
+     * Passes values that were assigned to exposed properties before the class
+     * was defined to their setters. Until the element was upgraded, they were
+     * stored as its own properties, which would otherwise hide the accessors
+     * that the class defines.
      *
-     * @param {string} propName
-     * @param {*} value
      * @private
      */
-    setProperty(propName, value) {
-      // If an action was supplied for setting this property, use it.
-      const cfg = exposedProps.get(propName);
-      const action = cfg.setter;
+    upgradeProperties() {
+      for (const propName of exposedProps.keys()) {
+        if (Object.prototype.hasOwnProperty.call(this, propName)) {
+          const value = this[propName];
+          delete this[propName];
+          this[propName] = value;
+        }
+      }
+    }
 
-      // Hyperapp state is updated only by invoking an action:
-      this.dispatchAction(action, { [propName]: value });
+    /**
+     * Reports exposed properties and attributes that are required but have not
+     * been set.
+     *
+     * @private
+     */
+    checkRequired() {
+      for (const cfg of exposedConfig) {
+        if (!cfg.required) continue;
+        const value = this.getValue(cfg);
+        if (value === undefined || value === null) {
+          this.reportInvalidValue(cfg, value, 'required');
+        }
+      }
     }
 
     /**
@@ -415,42 +2296,29 @@ function generateClass({
      * Called by the host (usually a browser).
      *
      * @param {string} attrName
-     * @param {string|number|undefined} oldVal
-     * @param {string|number|undefined} newVal
+     * @param {string|null} oldVal
+     * @param {string|null} newVal
      */
     attributeChangedCallback(attrName, oldVal, newVal) {
-      // Don't waste time or handle re-entry.
-      if (oldVal === newVal) return;
+      // Don't waste time or handle re-entry. If the change is the result of
+      // reflecting the state, the state already has the new value.
+      if (oldVal === newVal || this._reflecting) return;
 
-      // If an action was supplied for this attribute, use it.
       const cfg = exposedAttrs.get(attrName.toLowerCase());
-      const action = cfg.setter;
-
-      // Prefer propName to attrName when sending to action.
-      const propName = cfg.propName || cfg.attrName;
-
-      // If the attribute value is an empty string, the HTML attribute behaves
-      // as if it is a boolean attribute. For boolean attributes we would
-      // therefore set the internal value to true. However, we cannot be sure
-      // that it's not a string attribute that just had its value changed to an
-      // empty string. Therefore, we will examine the previous value to
-      // confirm. A previous value of null that changes to an empty string (or
-      // the other way around) is indicative of adding (or removing) a boolean
-      // attribute. For boolean attributes, the only other value can be the name
-      // of the attribute itself. See:
-      // https://html.spec.whatwg.org/multipage/common-microsyntaxes.html#boolean-attributes
-      if (
-        (newVal === '' && oldVal === null) ||
-        (newVal === null && oldVal === '') ||
-        (newVal === null && oldVal === attrName) ||
-        (newVal === attrName && oldVal === null)
-      ) {
-        // It's a boolean attribute, so store a boolean value (not '' or null).
-        newVal = !(newVal === null);
+      if (!cfg) {
+        // The attribute of a native property.
+        this.syncNativeProperties();
+        return;
       }
 
-      // Hyperapp state is updated only by invoking an action:
-      this.dispatchAction(action, { [propName]: newVal });
+      // Attribute values are strings. Convert to the declared type.
+      this.setValue(cfg, cfg.converter.fromAttribute(newVal));
+
+      // If the value was rejected or coerced, the state has not changed to
+      // match the attribute, so nothing else will restore it.
+      if (this._dispatch && reflectMode(cfg)) {
+        this.syncAttribute(cfg);
+      }
     }
 
     /**
@@ -458,16 +2326,112 @@ function generateClass({
      *
      * The CustomElement's observed attributes are those items in the
      * `exposedConfig` array that have a value specified for their `attrName`
-     * property. The host (usually a browser) calls `attributeChangedCallback`
-     * whenever something tries to change one of these HTML attributes.
+     * property, plus, when extending a native element, the attributes of the
+     * native properties that are copied into the state. The host (usually a
+     * browser) calls `attributeChangedCallback` whenever something tries to
+     * change one of these HTML attributes.
      *
      * @returns {string[]} Array of attribute names.
      */
     static get observedAttributes() {
-      return exposedAttrs.keys();
+      return [...exposedAttrs.keys(), ...nativeAttrs];
+    }
+
+    /**
+     * The component's message catalogs, if it has any.
+     *
+     * @returns {Messages|undefined}
+     */
+    static get messages() {
+      return i18n?.messages;
+    }
+
+    /**
+     * When extending a native element, the tag name of the element that is
+     * extended, for the `extends` option of `customElements.define`.
+     *
+     * @returns {string|undefined}
+     */
+    static get extends() {
+      return extendsTag;
+    }
+
+    /**
+     * Tells the host (usually a browser) whether this is a form-associated
+     * CustomElement.
+     *
+     * @returns {boolean}
+     */
+    static get formAssociated() {
+      return !!formConfig;
+    }
+
+    /**
+     * The configuration that the class was generated from.
+     *
+     * @returns {Object}
+     */
+    static get [CONFIG]() {
+      return {
+        name,
+        init,
+        view,
+        exposedConfig,
+        exposedMethods,
+        events,
+        useShadowDOM,
+        shadowRootOptions: shadowInit,
+        styles,
+        parent,
+        extends: extendsTag,
+      };
+    }
+
+    /**
+     * Where the view is rendered.
+     *
+     * @returns {ShadowRoot|HTMLElement}
+     */
+    get [RENDER_ROOT]() {
+      return this._shadowRoot || this;
     }
   }
 
+  /**
+   * Returns how an exposed value is reflected into its HTML attribute: 'sync',
+   * 'batched' or false.
+   *
+   * @param {Object} cfg property/attribute configuration object
+   * @returns {string|boolean}
+   */
+  function reflectMode(cfg) {
+    // The standard browser behaviour is that an on<event> handler can be set
+    // via an attribute, but if set via a property, the handler will not be
+    // reflected into an attribute. This might be because the attribute
+    // value, a string, is wrapped into a function before being stored
+    // internally. Serialising this function and assigning it to the attribute
+    // makes it look as if the attribute value has changed, and will cause
+    // a stack overflow when the new value handled and starts the cycle again.
+    if (cfg.eventType) return false;
+
+    if (cfg.reflect !== undefined) return cfg.reflect;
+
+    // Without either of these, the value is read from the state under the
+    // attribute's name, where a setter need not have put it.
+    return cfg.propName || cfg.getter ? 'batched' : false;
+  }
+
+  /**
+   * Returns a shallow copy of the state, which is enough to make Hyperapp
+   * believe that the state has changed.
+   *
+   * @param {Object} state The current state of the Hyperapp app instance.
+   * @returns {Object} A new state object.
+   */
+  function RefreshState(state) {
+    return { ...state };
+  }
+
   /**
    * Updates a state object with provided changes.
    * This is a default that is used if a ChangeAttribute action was not
@@ -484,6 +2448,24 @@ function generateClass({
     };
   }
 
+  /**
+   * Finds a property of the native element that is being extended.
+   *
+   * @param {string} propName
+   * @returns {PropertyDescriptor}
+   */
+  function nativeProperty(propName) {
+    for (
+      let proto = parent.prototype;
+      proto;
+      proto = Object.getPrototypeOf(proto)
+    ) {
+      const descriptor = Object.getOwnPropertyDescriptor(proto, propName);
+      if (descriptor) return descriptor;
+    }
+    throw new TypeError(`${parent.name} has no property named ${propName}`);
+  }
+
   /**
    * Returns a Hyperapp Action function that knows how to set the value of an
    * on<event> handler.
@@ -548,17 +2530,105 @@ function generateClass({
     });
   })();
 
+  /**
+   * When extending a native element, wraps the native properties that are
+   * copied into the state, so that setting them updates the state.
+   */
+  (function addNativeProperties() {
+    for (const propName of nativeConfig?.properties.keys() || []) {
+      const descriptor = nativeProperty(propName);
+      Object.defineProperty(CustomElement.prototype, propName, {
+        configurable: true,
+        enumerable: true,
+        get() {
+          return descriptor.get.call(this);
+        },
+        set(newValue) {
+          descriptor.set.call(this, newValue);
+          this.syncNativeProperties();
+        },
+      });
+    }
+  })();
+
+  /**
+   * For form-associated components, adds the properties and methods that native
+   * form controls have, e.g. `form`, `validity` and `checkValidity()`.
+   */
+  (function addFormControlMembers() {
+    if (!formConfig) return;
+
+    for (const name of [
+      'form',
+      'labels',
+      'validity',
+      'validationMessage',
+      'willValidate',
+    ]) {
+      Object.defineProperty(CustomElement.prototype, name, {
+        configurable: false,
+        enumerable: true,
+        get() {
+          return this._internals[name];
+        },
+      });
+    }
+
+    for (const name of ['checkValidity', 'reportValidity']) {
+      CustomElement.prototype[name] = function () {
+        return this._internals[name]();
+      };
+    }
+  })();
+
   /**
    * Generates the specified methods and adds them to the CustomElement's class
    * definition.
    */
   (function addMethods() {
+    // Exposed methods of the same names take precedence.
+    for (const name of ['focus', 'blur']) {
+      if (hostFocus[name]) {
+        CustomElement.prototype[name] = function (options) {
+          this.callMethod({ action: hostFocus[name] }, [options]);
+        };
+      }
+    }
+
     for (const name in exposedMethods) {
-      CustomElement.prototype[name] = function (payload) {
-        this.dispatchAction(exposedMethods[name], payload);
+      const cfg =
+        typeof exposedMethods[name] === 'function'
+          ? { action: exposedMethods[name] }
+          : exposedMethods[name];
+      CustomElement.prototype[name] = function (...args) {
+        return this.callMethod(cfg, args);
       };
     }
   })();
 
+  if (define) {
+    defineElement(CustomElement, define === true ? {} : define);
+  }
+
   return CustomElement;
 }
+
+/**
+ * Returns the tag name of a native element class, for the `extends` option of
+ * `customElements.define`.
+ *
+ * @param {function} parent The class that is being extended.
+ * @returns {string|undefined} undefined if the class is not a native element
+ *    class, or if several tags share it.
+ */
+function nativeTagName(parent) {
+  for (let cls = parent; cls; cls = Object.getPrototypeOf(cls)) {
+    if (
+      Object.prototype.hasOwnProperty.call(NATIVE_TAGS, cls.name) &&
+      globalThis[cls.name] === cls
+    ) {
+      return NATIVE_TAGS[cls.name];
+    }
+  }
+  return undefined;
+}
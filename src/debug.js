@@ -0,0 +1,206 @@
+export { debug };
+
+/**
+ * Name of the global variable that holds the registry of debugged components.
+ *
+ * @type {string}
+ */
+const REGISTRY = '__HYPERAPP_CUSTOM_ELEMENTS__';
+
+/**
+ * Used to label components that have no id.
+ *
+ * @type {number}
+ */
+let instanceCounter = 0;
+
+/**
+ * A state that a debugged component had, and what led to it.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {*} state
+ * @property {string} action The name of the Action that produced the state.
+ * @property {number} time When the state was produced (Date.now()).
+ */
+
+/**
+ * Returns a Hyperapp dispatch initialiser, for the `dispatch` configuration
+ * property, that helps to debug the component's instances. For each instance,
+ * it logs Actions and Effects to the console, and keeps a bounded history of
+ * states. The instances are listed in a global registry, for inspection from
+ * the console:
+ *
+ *   __HYPERAPP_CUSTOM_ELEMENTS__.instances  // All of them.
+ *   const c = __HYPERAPP_CUSTOM_ELEMENTS__.get('my-counter#main');
+ *   c.history;        // [{ state, action, time }, ...]
+ *   c.back();         // Restores the previous state.
+ *   c.forward();      // Undoes that.
+ *   c.goTo(0);        // Restores the initial state.
+ *   c.replay(state);  // Puts any state into the component.
+ *
+ * Restoring a state does not run Effects. Dispatching an Action after stepping
+ * back discards the states that were stepped over.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.log] Whether to log Actions and Effects. Default:
+ *    true.
+ * @param {number} [options.historySize] The maximum number of states to keep
+ *    per instance. Default: 50.
+ * @returns {function} A dispatch initialiser. It must be called with `this`
+ *    set to the component, as generated classes do.
+ */
+function debug({ log = true, historySize = 50 } = {}) {
+  return function debugDispatchInitialiser(dispatch) {
+    const element = this;
+    const registry = getRegistry();
+
+    // A restarted app continues with the history it had when it was halted.
+    let instance = registry.get(element);
+    if (!instance) {
+      instance = createInstance(element, historySize);
+      registry.entries.push(instance);
+    }
+
+    let actionName = 'init';
+
+    return (action, props) => {
+      if (action === undefined) {
+        // The app is being halted.
+        return dispatch(action, props);
+      }
+
+      if (typeof action === 'function') {
+        actionName = functionName(action);
+        if (log && !instance.travelling) {
+          console.debug(`<${instance.label}>`, 'Action', actionName, props);
+        }
+      } else if (!Array.isArray(action) || typeof action[0] !== 'function') {
+        const [state, ...effects] = Array.isArray(action) ? action : [action];
+        if (!instance.travelling) {
+          instance.record(state, actionName);
+          if (log) {
+            for (const effect of effects) {
+              const [effecter, effectProps] = [].concat(effect);
+              if (typeof effecter === 'function') {
+                console.debug(
+                  `<${instance.label}>`,
+                  'Effect',
+                  functionName(effecter),
+                  effectProps
+                );
+              }
+            }
+          }
+        }
+      }
+
+      return dispatch(action, props);
+    };
+  };
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {number} historySize
+ * @returns {Object} The registry entry of a debugged component.
+ */
+function createInstance(element, historySize) {
+  // The registry must not keep components that have been discarded alive.
+  const ref = new WeakRef(element);
+
+  const instance = {
+    /** The component, or undefined if it has been garbage-collected. */
+    get element() {
+      return ref.deref();
+    },
+    label: `${element.localName}#${element.id || ++instanceCounter}`,
+    /** @type {HistoryEntry[]} */
+    history: [],
+    /** The position in the history of the current state. */
+    index: -1,
+    /** Whether a state from the history is being restored. */
+    travelling: false,
+
+    record(state, action) {
+      // Stepping back and then doing something new discards the states that
+      // were stepped over.
+      this.history.splice(this.index + 1);
+      this.history.push({ state, action, time: Date.now() });
+      if (this.history.length > historySize) {
+        this.history.shift();
+      }
+      this.index = this.history.length - 1;
+    },
+
+    back(steps = 1) {
+      this.goTo(this.index - steps);
+    },
+
+    forward(steps = 1) {
+      this.goTo(this.index + steps);
+    },
+
+    goTo(index) {
+      const entry = this.history[index];
+      if (!entry) return;
+      this.index = index;
+      this.travelling = true;
+      try {
+        restore(this.element, entry.state);
+      } finally {
+        this.travelling = false;
+      }
+    },
+
+    replay(state) {
+      restore(this.element, state);
+    },
+  };
+  return instance;
+}
+
+/**
+ * Puts a state into a component, as if an Action had returned it, so that its
+ * attributes and other derived values are updated too.
+ *
+ * @param {HTMLElement} [element]
+ * @param {*} state
+ */
+function restore(element, state) {
+  element?.dispatchAction(function RestoreState() {
+    return state;
+  });
+}
+
+/**
+ * @returns {Object} The global registry of debugged components.
+ */
+function getRegistry() {
+  return (globalThis[REGISTRY] ??= {
+    /** Registry entries, including those of garbage-collected components. */
+    entries: [],
+    /** The entries of the debugged components that still exist. */
+    get instances() {
+      this.entries = this.entries.filter((item) => item.element);
+      return this.entries;
+    },
+    /**
+     * Finds a debugged component by its label, e.g. 'my-counter#main', or by
+     * the element itself.
+     */
+    get(labelOrElement) {
+      return this.instances.find(
+        (item) =>
+          item.label === labelOrElement || item.element === labelOrElement
+      );
+    },
+  });
+}
+
+/**
+ * @param {function} fn An Action or Effecter, possibly bound.
+ * @returns {string}
+ */
+function functionName(fn) {
+  return fn.name.replace(/^(bound )+/, '') || 'anonymous';
+}
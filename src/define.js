@@ -0,0 +1,106 @@
+export { define };
+
+import { CONFIG } from './symbols';
+
+/**
+ * Registers a class returned by `generateClass` as a CustomElement.
+ *
+ * Unlike `customElements.define`, it does not throw if the tag name has already
+ * been defined by an identical component, e.g. because two bundles on the same
+ * page include it. Components are considered identical if they have the same
+ * name, attributes, properties and methods. A tag name that has been defined by
+ * a different component is still an error.
+ *
+ * Components that extend native elements are registered as customized
+ * built-in elements of the tag that they extend.
+ *
+ * @param {function} ElementClass A class returned by `generateClass`.
+ * @param {Object} [options]
+ * @param {string} [options.name] The tag name. Default: the `name` in the
+ *    component's configuration.
+ * @param {string} [options.suffix] Appended to the tag name, so that several
+ *    versions of a component can coexist on a page, e.g. `{ suffix: 'v2.1' }`
+ *    defines 'my-counter-v2-1'. Characters that are not valid in tag names are
+ *    replaced with '-'. Optional.
+ * @param {CustomElementRegistry|ShadowRoot} [options.registry] Where to
+ *    register the component: a scoped CustomElementRegistry, or a ShadowRoot,
+ *    meaning the registry that is scoped to it, if any. Default: the global
+ *    `customElements` registry.
+ * @returns {string} The tag name.
+ */
+function define(ElementClass, options = {}) {
+  const config = ElementClass[CONFIG] || {};
+
+  let tagName = options.name || config.name;
+  if (!tagName) {
+    throw new TypeError('The component has no name. Specify one.');
+  }
+  if (options.suffix !== undefined && options.suffix !== '') {
+    tagName +=
+      '-' +
+      String(options.suffix)
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]/g, '-');
+  }
+
+  const registry = getRegistry(options.registry);
+  const existing = registry.get(tagName);
+  if (existing) {
+    if (existing === ElementClass || isIdentical(existing, ElementClass)) {
+      return tagName;
+    }
+    throw new Error(
+      `<${tagName}> has already been defined by a different component`
+    );
+  }
+
+  registry.define(
+    tagName,
+    ElementClass,
+    config.extends ? { extends: config.extends } : undefined
+  );
+  return tagName;
+}
+
+/**
+ * @param {CustomElementRegistry|ShadowRoot} [registry]
+ * @returns {CustomElementRegistry}
+ */
+function getRegistry(registry) {
+  if (registry && typeof registry.define !== 'function') {
+    // A ShadowRoot. Where scoped registries are not supported, its elements
+    // are upgraded by the global registry. Early implementations called its
+    // registry `customElements`.
+    return (
+      registry.customElementRegistry ||
+      registry.customElements ||
+      customElements
+    );
+  }
+  return registry || customElements;
+}
+
+/**
+ * Whether two classes returned by `generateClass` have the same public
+ * interface.
+ *
+ * @param {function} a
+ * @param {function} b
+ * @returns {boolean}
+ */
+function isIdentical(a, b) {
+  return !!a[CONFIG] && !!b[CONFIG] && signature(a) === signature(b);
+}
+
+/**
+ * @param {function} ElementClass A class returned by `generateClass`.
+ * @returns {string} A summary of the class's public interface.
+ */
+function signature(ElementClass) {
+  const { name, exposedConfig, exposedMethods } = ElementClass[CONFIG];
+  return JSON.stringify([
+    name,
+    exposedConfig.map(({ attrName, propName }) => [attrName, propName]),
+    Object.keys(exposedMethods),
+  ]);
+}
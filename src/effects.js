@@ -1,40 +1,85 @@
 export {
+  afterRender,
+  debounce,
+  delay,
   dispatchEvent,
   dispatchEventEffectRunner as dispatchEventEffect, // deprecated
+  emitToDocument,
+  fetchData,
+  focus,
+  scrollIntoView,
+  setNativeProperties,
   setOnEventListenerEffectRunner,
+  setStyles,
+  setValidity,
+  throttle,
 };
 
+import { RENDER_ROOT } from './symbols';
+
 /**
  * Returns a Hyperapp Effect tuple that dispatches a CustomEvent for the
  * consuming app to consume.
  *
+ * If the event is cancelable, a listener can call its `preventDefault()` method
+ * to veto whatever the component was about to do, just as with native events.
+ * The component learns of the outcome through the `onProceed` and `onCancel`
+ * Actions, e.g.
+ * `dispatchEvent('before-close', { cancelable: true }, { onProceed: Close })`
+ *
  * @param {string} eventType The name of the event. Corresponds to typeArg in
  *    the CustomEvent constructor.
  * @param {CustomEventInit} [eventInit] Settings for the custom event. Corres-
- *    ponds to customEventInit in the CustomEvent constructor. Optional.
+ *    ponds to customEventInit in the CustomEvent constructor. If `onProceed` or
+ *    `onCancel` is specified, `cancelable` defaults to true. Optional.
+ * @param {Object} [followUp] Optional.
+ * @param {Hyperapp.Action} [followUp.onProceed] Action that is dispatched with
+ *    the event as its payload if no listener cancelled the event. Optional.
+ * @param {Hyperapp.Action} [followUp.onCancel] Action that is dispatched with
+ *    the event as its payload if a listener cancelled the event. Optional.
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CustomEvent/CustomEvent
  */
-function dispatchEvent(eventType, eventInit) {
-  return [dispatchEventEffectRunner, { eventType, eventInit }];
+function dispatchEvent(eventType, eventInit, { onProceed, onCancel } = {}) {
+  if (onProceed || onCancel) {
+    eventInit = { cancelable: true, ...eventInit };
+  }
+  return [
+    dispatchEventEffectRunner,
+    { eventType, eventInit, onProceed, onCancel },
+  ];
 }
 
 /**
  * Hyperapp Effecter that dispatches a CustomEvent for the consuming app to
- * consume.
+ * consume, and then dispatches the Action that corresponds to whether or not
+ * the event was cancelled.
  *
- * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
  * @param {Object} props
  * @param {string} props.eventType The name of the event. Corresponds to typeArg
  *    in the CustomEvent constructor.
  * @param {CustomEventInit} props.eventInit Settings for the custom event. Corr-
  *    esponds to customEventInit in the CustomEvent constructor.
+ * @param {Hyperapp.Action} [props.onProceed] Action to dispatch if the event
+ *    was not cancelled.
+ * @param {Hyperapp.Action} [props.onCancel] Action to dispatch if the event was
+ *    cancelled.
+ * @returns {boolean} false if the event was cancelled, otherwise true.
  * @see https://developer.mozilla.org/en-US/docs/Web/API/CustomEvent/CustomEvent
  */
-function dispatchEventEffectRunner(_, { eventType, eventInit }) {
+function dispatchEventEffectRunner(
+  dispatch,
+  { eventType, eventInit, onProceed, onCancel }
+) {
   const ev = new CustomEvent(eventType, eventInit);
-  const cancel = !this.dispatchEvent(ev);
-  // TODO: figure out how to supply useful functionality for cancelling default
-  // actions.
+  const proceed = this.dispatchEvent(ev);
+
+  const followUp = proceed ? onProceed : onCancel;
+  if (followUp) {
+    dispatch(followUp, ev);
+  }
+
+  return proceed;
 }
 
 /**
@@ -61,3 +106,463 @@ function setOnEventListenerEffectRunner(_, { eventType, oldVal, newVal }) {
     this.addEventListener(eventType, newVal);
   }
 }
+
+/**
+ * Returns a Hyperapp Effect tuple that sets the validity of a form-associated
+ * component. To mark the component as valid, call it with no arguments.
+ *
+ * @param {ValidityStateFlags} [flags] The ways in which the value is invalid,
+ *    e.g. `{ valueMissing: true }`. Optional.
+ * @param {string} [message] The message that the browser shows when it reports
+ *    the problem. Required if any of the flags is true.
+ * @param {string} [anchor] A CSS selector that identifies the element inside
+ *    the component next to which the browser shows the message. Optional.
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/ElementInternals/setValidity
+ */
+function setValidity(flags = {}, message, anchor) {
+  return [setValidityEffectRunner, { flags, message, anchor }];
+}
+
+/**
+ * Hyperapp Effecter that sets the validity of a form-associated component.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @param {ValidityStateFlags} props.flags
+ * @param {string} [props.message]
+ * @param {string} [props.anchor] CSS selector of an element inside the
+ *    component.
+ */
+function setValidityEffectRunner(_, { flags, message, anchor }) {
+  const anchorNode = anchor
+    ? this[RENDER_ROOT].querySelector(anchor)
+    : undefined;
+  this._internals.setValidity(flags, message, anchorNode || undefined);
+}
+
+/**
+ * Returns a Hyperapp Effect tuple that replaces the component's styles, e.g. to
+ * switch themes. Shadow DOM components' styles are replaced only in the
+ * component that runs the Effect. Light DOM components' styles are replaced for
+ * every instance in the same Document or ShadowRoot.
+ *
+ * @param {string|CSSStyleSheet|Array<string|CSSStyleSheet>} styles CSS strings
+ *    and/or CSSStyleSheet objects.
+ */
+function setStyles(styles) {
+  return [setStylesEffectRunner, { styles }];
+}
+
+/**
+ * Hyperapp Effecter that replaces the component's styles.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @param {string|CSSStyleSheet|Array<string|CSSStyleSheet>} props.styles
+ */
+function setStylesEffectRunner(_, { styles }) {
+  this.replaceStyles(styles);
+}
+
+/**
+ * Returns a Hyperapp Effect tuple that sets properties of the native element
+ * that the component extends, e.g. `setNativeProperties({ value: '' })`, so
+ * that the state can drive the native element.
+ *
+ * @param {Object} values Maps property names to values.
+ */
+function setNativeProperties(values) {
+  return [setNativePropertiesEffectRunner, { values }];
+}
+
+/**
+ * Hyperapp Effecter that sets properties of the native element.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @param {Object} props.values
+ */
+function setNativePropertiesEffectRunner(_, { values }) {
+  this.setNativeProperties(values);
+}
+
+/**
+ * Returns a Hyperapp Effect tuple that fetches a resource, and dispatches an
+ * Action with the response body, parsed according to `responseType`, as its
+ * payload. The request is aborted if the component's app is halted before it
+ * completes.
+ *
+ * If the request fails and there is no `onError` Action, the component
+ * dispatches an `error` event with a detail of `{error, url}`.
+ *
+ * The Effecter returns a Promise of the parsed body, so that an exposed method
+ * can wait for it using `awaitEffect: fetchData`. If the request fails and
+ * there is no `onError` Action, the method's Promise rejects.
+ *
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {RequestInit} [options.init] Options for `fetch`. Optional.
+ * @param {string} [options.responseType] 'json', 'text', 'blob' or
+ *    'response'. Default: 'json'.
+ * @param {Hyperapp.Action} [options.onSuccess] Action that is dispatched with
+ *    the parsed body. Optional.
+ * @param {Hyperapp.Action} [options.onError] Action that is dispatched with the
+ *    error if the request fails, or if the response's status is not 2xx. Such
+ *    an error has a `response` property. Optional.
+ */
+function fetchData(url, options = {}) {
+  const { init, responseType = 'json', onSuccess, onError } = options;
+  return [
+    fetchDataEffectRunner,
+    { url, init, responseType, onSuccess, onError },
+  ];
+}
+
+/**
+ * Hyperapp Effecter that fetches a resource.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {Promise} The parsed body, or undefined if the request was aborted.
+ */
+function fetchDataEffectRunner(dispatch, props) {
+  const outcome = fetchAndDispatch.call(this, dispatch, props);
+  // Hyperapp ignores the Promise, so its rejection would go unhandled. The
+  // failure has been reported by an `error` event, and the rejection still
+  // reaches an exposed method that awaits the Effect.
+  outcome.catch(() => {});
+  return outcome;
+}
+fetchData.effecter = fetchDataEffectRunner;
+
+/**
+ * Fetches a resource, and dispatches the Action that handles the outcome.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {Promise} The parsed body, or undefined if the request was aborted.
+ */
+async function fetchAndDispatch(
+  dispatch,
+  { url, init, responseType, onSuccess, onError }
+) {
+  const controller = new AbortController();
+  const untrack = trackWork(this, () => controller.abort());
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      const err = new Error(`${response.status} ${response.statusText}`);
+      err.response = response;
+      throw err;
+    }
+    const body =
+      responseType === 'response' ? response : await response[responseType]();
+    if (onSuccess) {
+      dispatch(onSuccess, body);
+    }
+    return body;
+  } catch (err) {
+    if (controller.signal.aborted) return undefined;
+    if (!onError) {
+      this.dispatchEvent(
+        new CustomEvent('error', { detail: { error: err, url } })
+      );
+      throw err;
+    }
+    dispatch(onError, err);
+  } finally {
+    untrack();
+  }
+}
+
+/**
+ * Returns a Hyperapp Effect tuple that dispatches an Action after a delay.
+ * The timer is cancelled if the component's app is halted first.
+ *
+ * @param {number} ms Number of milliseconds to wait.
+ * @param {Hyperapp.Action} action
+ * @param {*} [props] The Action's payload. Optional.
+ */
+function delay(ms, action, props) {
+  return [delayEffectRunner, { ms, action, props }];
+}
+
+/**
+ * Hyperapp Effecter that dispatches an Action after a delay.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {Promise<boolean>} Whether the Action was dispatched.
+ */
+function delayEffectRunner(dispatch, { ms, action, props }) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      untrack();
+      dispatch(action, props);
+      resolve(true);
+    }, ms);
+    const untrack = trackWork(this, () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+}
+delay.effecter = delayEffectRunner;
+
+/**
+ * Returns a Hyperapp Effect tuple that dispatches an Action once a delay has
+ * passed without the Effect being run again, e.g. to search as the user types.
+ * Each run of the Effect with the same key restarts the delay, and replaces the
+ * payload.
+ *
+ * @param {number} ms Number of milliseconds to wait.
+ * @param {Hyperapp.Action} action
+ * @param {*} [props] The Action's payload. Optional.
+ * @param {*} [key] Identifies the Effects that debounce each other. Default:
+ *    the Action.
+ */
+function debounce(ms, action, props, key = action) {
+  return [debounceEffectRunner, { ms, action, props, key }];
+}
+
+/**
+ * Hyperapp Effecter that dispatches an Action once a delay has passed without
+ * it being run again.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {Promise<boolean>} Whether the Action was dispatched, rather than
+ *    superseded or cancelled.
+ */
+function debounceEffectRunner(dispatch, { ms, action, props, key }) {
+  const pending = (this._debounced ??= new Map());
+  pending.get(key)?.cancel();
+
+  return new Promise((resolve) => {
+    const cancel = () => {
+      clearTimeout(timer);
+      untrack();
+      pending.delete(key);
+      resolve(false);
+    };
+    const timer = setTimeout(() => {
+      untrack();
+      pending.delete(key);
+      dispatch(action, props);
+      resolve(true);
+    }, ms);
+    const untrack = trackWork(this, cancel);
+    pending.set(key, { cancel });
+  });
+}
+debounce.effecter = debounceEffectRunner;
+
+/**
+ * Returns a Hyperapp Effect tuple that dispatches an Action at most once per
+ * interval, e.g. while the user scrolls. The first run of the Effect dispatches
+ * the Action immediately. Runs during the following interval are combined into
+ * a single dispatch at its end, with the latest payload.
+ *
+ * @param {number} ms The interval, in milliseconds.
+ * @param {Hyperapp.Action} action
+ * @param {*} [props] The Action's payload. Optional.
+ * @param {*} [key] Identifies the Effects that throttle each other. Default:
+ *    the Action.
+ */
+function throttle(ms, action, props, key = action) {
+  return [throttleEffectRunner, { ms, action, props, key }];
+}
+
+/**
+ * Hyperapp Effecter that dispatches an Action at most once per interval.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {Promise<boolean>} Whether the Action was dispatched with this
+ *    payload, rather than superseded or cancelled.
+ */
+function throttleEffectRunner(dispatch, { ms, action, props, key }) {
+  const throttled = (this._throttled ??= new Map());
+  let entry = throttled.get(key);
+
+  if (!entry) {
+    // Start an interval, and dispatch immediately.
+    entry = {};
+    throttled.set(key, entry);
+    const endInterval = () => {
+      untrack();
+      throttled.delete(key);
+      const { trailing } = entry;
+      if (trailing) {
+        // Dispatch the latest payload, and start another interval.
+        throttleEffectRunner
+          .call(this, dispatch, { ms, action, props: trailing.props, key })
+          .then(trailing.resolve);
+      }
+    };
+    const timer = setTimeout(endInterval, ms);
+    const untrack = trackWork(this, () => {
+      clearTimeout(timer);
+      throttled.delete(key);
+      entry.trailing?.resolve(false);
+    });
+    dispatch(action, props);
+    return Promise.resolve(true);
+  }
+
+  // Replace the payload that will be dispatched at the end of the interval.
+  entry.trailing?.resolve(false);
+  return new Promise((resolve) => {
+    entry.trailing = { props, resolve };
+  });
+}
+throttle.effecter = throttleEffectRunner;
+
+/**
+ * Returns a Hyperapp Effect tuple that focuses an element inside the
+ * component, once the component has rendered the current state, so that the
+ * element can be one that the same Action causes to be rendered.
+ *
+ * @param {string} [selector] A CSS selector that identifies the element in the
+ *    component's Shadow DOM (or Light DOM). Default: the component itself.
+ * @param {FocusOptions} [options] Optional.
+ */
+function focus(selector, options) {
+  return [focusEffectRunner, { selector, options }];
+}
+
+/**
+ * Hyperapp Effecter that focuses an element inside the component.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @returns {Promise<boolean>} Whether the element was found.
+ */
+function focusEffectRunner(_, { selector, options }) {
+  return afterRender(this, () => {
+    const el = findElement(this, selector);
+    if (el === this) {
+      // The component's own focus() method may be an exposed method that runs
+      // this Effect.
+      HTMLElement.prototype.focus.call(this, options);
+    } else {
+      el?.focus(options);
+    }
+    return !!el;
+  });
+}
+focus.effecter = focusEffectRunner;
+
+/**
+ * Returns a Hyperapp Effect tuple that scrolls an element inside the component
+ * into view, once the component has rendered the current state.
+ *
+ * @param {string} [selector] A CSS selector that identifies the element in the
+ *    component's Shadow DOM (or Light DOM). Default: the component itself.
+ * @param {ScrollIntoViewOptions} [options] Optional.
+ */
+function scrollIntoView(selector, options) {
+  return [scrollIntoViewEffectRunner, { selector, options }];
+}
+
+/**
+ * Hyperapp Effecter that scrolls an element inside the component into view.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @returns {Promise<boolean>} Whether the element was found.
+ */
+function scrollIntoViewEffectRunner(_, { selector, options }) {
+  return afterRender(this, () => {
+    const el = findElement(this, selector);
+    el?.scrollIntoView(options);
+    return !!el;
+  });
+}
+scrollIntoView.effecter = scrollIntoViewEffectRunner;
+
+/**
+ * Returns a Hyperapp Effect tuple that dispatches a CustomEvent on the
+ * component's Document rather than on the component, for listeners that are not
+ * the component's ancestors, e.g. an app-wide notification area.
+ *
+ * @param {string} eventType The name of the event.
+ * @param {CustomEventInit} [eventInit] Settings for the custom event. Optional.
+ */
+function emitToDocument(eventType, eventInit) {
+  return [emitToDocumentEffectRunner, { eventType, eventInit }];
+}
+
+/**
+ * Hyperapp Effecter that dispatches a CustomEvent on the component's Document.
+ *
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @returns {boolean} false if the event was cancelled, otherwise true.
+ */
+function emitToDocumentEffectRunner(_, { eventType, eventInit }) {
+  return this.ownerDocument.dispatchEvent(
+    new CustomEvent(eventType, eventInit)
+  );
+}
+emitToDocument.effecter = emitToDocumentEffectRunner;
+
+/**
+ * Registers a way to cancel asynchronous work that an Effect has started, so
+ * that it is cancelled if the component's app is halted.
+ *
+ * @param {HTMLElement} element The component.
+ * @param {function} cancel
+ * @returns {function} Call this when the work is done.
+ */
+function trackWork(element, cancel) {
+  const work = (element._pendingWork ??= new Set());
+  work.add(cancel);
+  return () => work.delete(cancel);
+}
+
+/**
+ * Calls a function once the component has rendered the current state, i.e.
+ * after Hyperapp's pending render. Hyperapp renders in the next animation frame
+ * (or in a timeout if there are no animation frames), so this queues a callback
+ * after Hyperapp's. Effects run after Hyperapp has queued the render, but
+ * Subscriptions start before it, so the callback is queued in a microtask.
+ *
+ * @param {HTMLElement} element The component.
+ * @param {function():*} fn
+ * @returns {Promise} The function's return value, or undefined if the app was
+ *    halted first.
+ */
+function afterRender(element, fn) {
+  const [enqueue, dequeue] =
+    typeof requestAnimationFrame !== 'undefined'
+      ? [requestAnimationFrame, cancelAnimationFrame]
+      : [setTimeout, clearTimeout];
+
+  return new Promise((resolve) => {
+    let cancelled = false;
+    let handle;
+    const untrack = trackWork(element, () => {
+      cancelled = true;
+      dequeue(handle);
+      resolve(undefined);
+    });
+    queueMicrotask(() => {
+      if (cancelled) return;
+      handle = enqueue(() => {
+        untrack();
+        resolve(fn());
+      });
+    });
+  });
+}
+
+/**
+ * @param {HTMLElement} element The component.
+ * @param {string} [selector]
+ * @returns {Element|null} The element in the component's Shadow DOM (or Light
+ *    DOM) that matches the selector, or the component if there is no selector.
+ */
+function findElement(element, selector) {
+  return selector ? element[RENDER_ROOT].querySelector(selector) : element;
+}
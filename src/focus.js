@@ -0,0 +1,212 @@
+export { rovingFocus, rovingTabIndex, trapFocus };
+
+import { afterRender } from './effects';
+import { RENDER_ROOT } from './symbols';
+
+/**
+ * Helpers that make composite widgets, such as menus, listboxes and dialogs,
+ * keyboard accessible. They act on the elements in the component's Shadow DOM
+ * (or Light DOM).
+ */
+
+/**
+ * Elements that can be reached with the Tab key, unless they are disabled.
+ *
+ * @type {string}
+ */
+const TABBABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]',
+].join(',');
+
+/**
+ * The keys that move the focus to the previous and next items, by orientation.
+ *
+ * @type {Object<string, string[][]>}
+ */
+const ARROW_KEYS = {
+  vertical: [['ArrowUp'], ['ArrowDown']],
+  horizontal: [['ArrowLeft'], ['ArrowRight']],
+  both: [
+    ['ArrowUp', 'ArrowLeft'],
+    ['ArrowDown', 'ArrowRight'],
+  ],
+};
+
+/**
+ * Returns the tabindex of an item in a group that uses a roving tabindex: 0 for
+ * the active item, so that the Tab key moves the focus to it, and -1 for the
+ * others, e.g.
+ * `h('li', { tabindex: rovingTabIndex(i, state.activeIndex) }, ...)`
+ *
+ * @param {number} index The item's position in the group.
+ * @param {number} activeIndex The active item's position in the group.
+ * @returns {number}
+ */
+function rovingTabIndex(index, activeIndex) {
+  return index === activeIndex ? 0 : -1;
+}
+
+/**
+ * Returns a Hyperapp Subscription that implements the keyboard interaction of
+ * a group that uses a roving tabindex. When an item has the focus, the arrow
+ * keys move the focus to the previous or next item, and Home and End move it
+ * to the first or last item. The Action is dispatched with the newly focused
+ * item's position as its payload, so that the state can record the active item
+ * (see `rovingTabIndex`).
+ *
+ * @param {string} selector A CSS selector that identifies the items.
+ * @param {Hyperapp.Action} action
+ * @param {Object} [options]
+ * @param {string} [options.orientation] Which arrow keys to use: 'vertical',
+ *    'horizontal' or 'both'. Default: 'vertical'.
+ * @param {boolean} [options.wrap] Whether to move from the last item to the
+ *    first, and vice versa. Default: true.
+ * @returns {Hyperapp.Subscription}
+ */
+function rovingFocus(selector, action, options = {}) {
+  const { orientation = 'vertical', wrap = true } = options;
+  return [rovingFocusSubscriber, { selector, action, orientation, wrap }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function rovingFocusSubscriber(
+  dispatch,
+  { selector, action, orientation, wrap }
+) {
+  const [previousKeys, nextKeys] = ARROW_KEYS[orientation];
+
+  const listener = (ev) => {
+    const items = Array.from(getRoot(this).querySelectorAll(selector));
+    const path = ev.composedPath();
+    const current = items.findIndex((item) => path.includes(item));
+    if (current === -1) return;
+
+    let next;
+    if (previousKeys.includes(ev.key)) {
+      next = current - 1;
+    } else if (nextKeys.includes(ev.key)) {
+      next = current + 1;
+    } else if (ev.key === 'Home') {
+      next = 0;
+    } else if (ev.key === 'End') {
+      next = items.length - 1;
+    } else {
+      return;
+    }
+    next = wrap
+      ? (next + items.length) % items.length
+      : Math.min(Math.max(next, 0), items.length - 1);
+
+    ev.preventDefault();
+    items[next].focus();
+    dispatch(action, next);
+  };
+
+  this.addEventListener('keydown', listener);
+  return () => this.removeEventListener('keydown', listener);
+}
+
+/**
+ * Returns a Hyperapp Subscription that keeps the focus inside the component,
+ * e.g. while a dialog is open: the Tab key moves the focus from the last
+ * focusable element to the first, and Shift+Tab from the first to the last.
+ * When the Subscription starts, once the current state has been rendered, the
+ * focus moves inside the component. When it ends, the focus returns to where
+ * it was before.
+ *
+ * Only elements in the component's Shadow DOM (or Light DOM) are considered,
+ * not those that are assigned to its slots.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.initialFocus] A CSS selector that identifies the
+ *    element to focus initially. Default: the first focusable element.
+ * @param {boolean} [options.restoreFocus] Whether to return the focus to where
+ *    it was when the Subscription ends. Default: true.
+ * @returns {Hyperapp.Subscription}
+ */
+function trapFocus({ initialFocus, restoreFocus = true } = {}) {
+  return [trapFocusSubscriber, { initialFocus, restoreFocus }];
+}
+
+/**
+ * @param {function} _ The dispatch function passed by Hyperapp. Not used here.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function trapFocusSubscriber(_, { initialFocus, restoreFocus }) {
+  const previouslyFocused = deepActiveElement(this.ownerDocument);
+  const focusable = () =>
+    Array.from(getRoot(this).querySelectorAll(TABBABLE)).filter(
+      (el) => el.tabIndex >= 0
+    );
+
+  let active = true;
+  afterRender(this, () => {
+    if (!active) return;
+    const target = initialFocus
+      ? getRoot(this).querySelector(initialFocus)
+      : focusable()[0];
+    target?.focus();
+  });
+
+  const listener = (ev) => {
+    if (ev.key !== 'Tab') return;
+    const elements = focusable();
+    if (!elements.length) return;
+
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    const current = ev.composedPath()[0];
+    if (ev.shiftKey && (current === first || !elements.includes(current))) {
+      ev.preventDefault();
+      last.focus();
+    } else if (
+      !ev.shiftKey &&
+      (current === last || !elements.includes(current))
+    ) {
+      ev.preventDefault();
+      first.focus();
+    }
+  };
+  this.addEventListener('keydown', listener);
+
+  return () => {
+    active = false;
+    this.removeEventListener('keydown', listener);
+    if (restoreFocus && previouslyFocused?.isConnected) {
+      previouslyFocused.focus();
+    }
+  };
+}
+
+/**
+ * @param {HTMLElement} element The component.
+ * @returns {ShadowRoot|HTMLElement} Where the component renders its view.
+ */
+function getRoot(element) {
+  return element[RENDER_ROOT];
+}
+
+/**
+ * @param {Document} doc
+ * @returns {Element|null} The focused element, even if it is inside Shadow DOM.
+ */
+function deepActiveElement(doc) {
+  let el = doc.activeElement;
+  while (el?.shadowRoot?.activeElement) {
+    el = el.shadowRoot.activeElement;
+  }
+  return el;
+}
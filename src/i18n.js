@@ -0,0 +1,261 @@
+export { createMessages, onLangChange, resolveLang };
+
+import { subscriberDispatch } from './subscriptions';
+
+/**
+ * Internationalisation support. A component's language is determined by the
+ * `lang` attribute, as in HTML: its own, or its closest ancestor's, across
+ * Shadow DOM boundaries, or the document's.
+ */
+
+/**
+ * Messages in a language, by key. A message is a string that may contain
+ * placeholders, e.g. 'Hello, {name}', or, if it depends on a number, an object
+ * that maps plural categories ('zero', 'one', 'two', 'few', 'many' and
+ * 'other') and/or exact numbers ('=0') to such strings.
+ *
+ * @typedef {Object<string, string|Object<string, string>>} Catalog
+ */
+
+/**
+ * The message catalogs of a component class, created by `createMessages`.
+ *
+ * @typedef {Object} Messages
+ * @property {function(string, Catalog):Messages} add Adds messages in a
+ *    language, e.g. `MyCounter.messages.add('de', { ... })`, replacing any
+ *    that have the same keys.
+ * @property {function(string, string, Object=):string} format Returns the
+ *    message with a given key in a given language, with its placeholders
+ *    replaced by values.
+ */
+
+/**
+ * Creates the message catalogs of a component class, e.g.
+ *
+ *   const messages = createMessages({
+ *     en: {
+ *       incrementBy: 'Increment by',
+ *       clicks: {
+ *         '=0': 'No clicks',
+ *         one: '{count} click',
+ *         other: '{count} clicks',
+ *       },
+ *     },
+ *     fr: { ... },
+ *   });
+ *   messages.format('en-GB', 'clicks', { count: 1000 });  // '1,000 clicks'
+ *
+ * A message is looked up in the requested language, e.g. 'fr-CA', then in its
+ * base language ('fr'), and then in the fallback language. If it is not found,
+ * its key is returned. A message that depends on a number is chosen according
+ * to `values.count`, using the language's plural rules. Numbers are formatted
+ * according to the language's conventions. Placeholders without values are
+ * left as they are.
+ *
+ * @param {Object<string, Catalog>} [catalogs] Maps language tags, e.g. 'en' or
+ *    'pt-BR', to catalogs.
+ * @param {Object} [options]
+ * @param {string} [options.fallback] The language to use when a message is not
+ *    available in the requested language. Default: 'en'.
+ * @returns {Messages}
+ */
+function createMessages(catalogs = {}, { fallback = 'en' } = {}) {
+  /** @type {Map<string, Catalog>} */
+  const byLang = new Map();
+
+  const messages = {
+    add(lang, catalog) {
+      const key = lang.toLowerCase();
+      byLang.set(key, { ...byLang.get(key), ...catalog });
+      return messages;
+    },
+
+    format(lang, key, values = {}) {
+      for (const candidate of candidateLangs(lang, fallback)) {
+        const catalog = byLang.get(candidate);
+        if (catalog && Object.prototype.hasOwnProperty.call(catalog, key)) {
+          return interpolate(
+            selectPlural(catalog[key], candidate, values.count),
+            candidate,
+            values
+          );
+        }
+      }
+      return key;
+    },
+  };
+
+  for (const lang in catalogs) {
+    messages.add(lang, catalogs[lang]);
+  }
+  return messages;
+}
+
+/**
+ * @param {string} [lang] A language tag, e.g. 'fr-CA'.
+ * @param {string} fallback
+ * @returns {string[]} The languages in which to look for a message, in order,
+ *    e.g. ['fr-ca', 'fr', 'en'].
+ */
+function candidateLangs(lang, fallback) {
+  const langs = [];
+  const subtags = (lang || '').toLowerCase().split('-');
+  for (let i = subtags.length; i > 0; i--) {
+    langs.push(subtags.slice(0, i).join('-'));
+  }
+  langs.push(fallback.toLowerCase());
+  return langs.filter(Boolean);
+}
+
+/**
+ * @param {string|Object<string, string>} message
+ * @param {string} lang
+ * @param {number} [count]
+ * @returns {string}
+ */
+function selectPlural(message, lang, count) {
+  if (typeof message !== 'object' || message === null) return message;
+
+  if (typeof count === 'number') {
+    const exact = message[`=${count}`];
+    if (exact !== undefined) return exact;
+    const category = getIntl(Intl.PluralRules, lang).select(count);
+    if (message[category] !== undefined) return message[category];
+  }
+  return message.other;
+}
+
+/**
+ * @param {string} message
+ * @param {string} lang
+ * @param {Object} values
+ * @returns {string}
+ */
+function interpolate(message, lang, values) {
+  return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === 'number'
+      ? getIntl(Intl.NumberFormat, lang).format(value)
+      : String(value);
+  });
+}
+
+/**
+ * Intl objects, which are expensive to create, by constructor and language.
+ *
+ * @type {Map<function, Map<string, Object>>}
+ */
+const intlCache = new Map();
+
+/**
+ * @param {function} Constructor Intl.PluralRules or Intl.NumberFormat.
+ * @param {string} lang
+ * @returns {Object} An instance for the language.
+ */
+function getIntl(Constructor, lang) {
+  if (!intlCache.has(Constructor)) {
+    intlCache.set(Constructor, new Map());
+  }
+  const instances = intlCache.get(Constructor);
+  if (!instances.has(lang)) {
+    let instance;
+    try {
+      instance = new Constructor(lang);
+    } catch (err) {
+      // Not a valid language tag.
+      instance = new Constructor();
+    }
+    instances.set(lang, instance);
+  }
+  return instances.get(lang);
+}
+
+/**
+ * Returns the effective language of an element: the value of its own `lang`
+ * attribute, or of its closest ancestor's, looking past the hosts of shadow
+ * roots, or of the document's root element.
+ *
+ * @param {Element} element
+ * @returns {string} The language tag, or '' if it is unknown.
+ */
+function resolveLang(element) {
+  for (let node = element; node; node = node.parentNode || node.host) {
+    if (node.nodeType === 1 && node.hasAttribute('lang')) {
+      return node.getAttribute('lang');
+    }
+  }
+  // Not in the document.
+  return element.ownerDocument?.documentElement?.getAttribute('lang') || '';
+}
+
+/**
+ * Returns a Hyperapp Subscription that dispatches an Action with the
+ * component's effective language (see `resolveLang`) as its payload, when it
+ * starts and whenever the language changes, including when the component
+ * moves. Generated classes use it for the `i18n` configuration property.
+ *
+ * @param {Hyperapp.Action} action
+ * @returns {Hyperapp.Subscription}
+ */
+function onLangChange(action) {
+  return [langSubscriber, { action }];
+}
+
+/**
+ * Hyperapp Subscriber that watches the `lang` attributes of the component that
+ * it is bound to, and of its ancestors.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function langSubscriber(dispatch, { action }) {
+  const sub = subscriberDispatch(dispatch);
+  let lang;
+  let observers = [];
+
+  const update = () => {
+    const newLang = resolveLang(this);
+    if (newLang !== lang) {
+      lang = newLang;
+      sub.dispatch(action, lang);
+    }
+  };
+
+  // Any Document or ShadowRoot that contains the component or one of its
+  // hosts may have an element whose `lang` attribute matters.
+  const observe = () => {
+    observers.forEach((observer) => observer.disconnect());
+    observers = [];
+    if (typeof MutationObserver === 'undefined') return;
+
+    for (let root = this.getRootNode(); root; root = root.host?.getRootNode()) {
+      const observer = new MutationObserver(update);
+      observer.observe(root, {
+        attributes: true,
+        attributeFilter: ['lang'],
+        subtree: true,
+      });
+      observers.push(observer);
+    }
+  };
+
+  // Called whenever the component enters the DOM, because its ancestors may
+  // be different now.
+  const request = () => {
+    observe();
+    update();
+  };
+
+  const requests = (this._contextRequests ??= new Set());
+  requests.add(request);
+  observe();
+  update();
+
+  return () => {
+    sub.end();
+    requests.delete(request);
+    observers.forEach((observer) => observer.disconnect());
+  };
+}
@@ -1,2 +1,27 @@
 export { generateClass } from './custom-element';
-export { dispatchEvent, dispatchEventEffect } from './effects';
+export { consumeContext, ContextRequestEvent } from './context';
+export { define } from './define';
+export { rovingFocus, rovingTabIndex, trapFocus } from './focus';
+export { RENDER_ROOT } from './symbols';
+export { createMessages, onLangChange } from './i18n';
+export {
+  debounce,
+  delay,
+  dispatchEvent,
+  dispatchEventEffect,
+  emitToDocument,
+  fetchData,
+  focus,
+  scrollIntoView,
+  setNativeProperties,
+  setStyles,
+  setValidity,
+  throttle,
+} from './effects';
+export {
+  onHostEvent,
+  onIntersection,
+  onMediaQuery,
+  onMutation,
+  onResize,
+} from './subscriptions';
@@ -0,0 +1,352 @@
+export { describeModule, generateManifest, generateTypes };
+
+import { notificationType } from './naming';
+import { CONFIG } from './symbols';
+
+/**
+ * Derives documentation of components from the configurations that they were
+ * generated from, in the form of a Custom Elements Manifest and TypeScript
+ * declarations, so that IDEs, Storybook and JSX typings pick them up.
+ *
+ * @see https://github.com/webcomponents/custom-elements-manifest
+ */
+
+/**
+ * What is known about a component.
+ *
+ * @typedef {Object} ComponentInfo
+ * @property {string} className
+ * @property {string} tagName
+ * @property {Object} config The configuration passed to `generateClass`.
+ */
+
+/**
+ * What is known about a module that defines components.
+ *
+ * @typedef {Object} ModuleInfo
+ * @property {string} path The module's path, relative to the package root.
+ * @property {ComponentInfo[]} components
+ */
+
+/**
+ * Finds the components that a module defines, i.e. those that it exports and
+ * those that it registers with `customElements.define`.
+ *
+ * @param {string} path The module's path, relative to the package root.
+ * @param {Object} moduleExports The module's namespace object.
+ * @param {Array<Array>} [definitions] The `[tagName, class]` pairs that the
+ *    module passed to `customElements.define`.
+ * @returns {ModuleInfo}
+ */
+function describeModule(path, moduleExports, definitions = []) {
+  const components = new Map();
+
+  for (const [tagName, cls] of definitions) {
+    if (cls[CONFIG]) {
+      components.set(cls, { tagName, className: toClassName(tagName) });
+    }
+  }
+
+  for (const exportName in moduleExports) {
+    const cls = moduleExports[exportName];
+    if (typeof cls !== 'function' || !cls[CONFIG]) continue;
+
+    const tagName = components.get(cls)?.tagName || cls[CONFIG].name;
+    components.set(cls, { tagName, className: exportName, exported: true });
+  }
+
+  return {
+    path,
+    components: Array.from(components, ([cls, info]) => ({
+      ...info,
+      config: cls[CONFIG],
+    })).filter((info) => info.tagName),
+  };
+}
+
+/**
+ * Generates a Custom Elements Manifest, i.e. the contents of a
+ * custom-elements.json file.
+ *
+ * @param {ModuleInfo[]} modules
+ * @returns {Object}
+ */
+function generateManifest(modules) {
+  return {
+    schemaVersion: '1.0.0',
+    readme: '',
+    modules: modules.map(({ path, components }) => ({
+      kind: 'javascript-module',
+      path,
+      declarations: components.map(describeClass),
+      exports: components.flatMap(({ className, tagName, exported }) => {
+        const declaration = { name: className, module: path };
+        return [
+          ...(exported ? [{ kind: 'js', name: className, declaration }] : []),
+          { kind: 'custom-element-definition', name: tagName, declaration },
+        ];
+      }),
+    })),
+  };
+}
+
+/**
+ * Describes a component class for the manifest.
+ *
+ * @param {ComponentInfo} component
+ * @returns {Object}
+ */
+function describeClass({ className, tagName, config }) {
+  const { exposedConfig = [], exposedMethods = {} } = config;
+
+  const attributes = exposedConfig
+    .filter((cfg) => cfg.attrName)
+    .map((cfg) =>
+      omitUndefined({
+        name: cfg.attrName,
+        type: { text: typeText(cfg) },
+        fieldName: cfg.propName,
+        description: cfg.description,
+        default: defaultText(cfg),
+      })
+    );
+
+  const fields = exposedConfig
+    .filter((cfg) => cfg.propName)
+    .map((cfg) =>
+      omitUndefined({
+        kind: 'field',
+        name: cfg.propName,
+        type: { text: typeText(cfg) },
+        attribute: cfg.attrName,
+        reflects: cfg.attrName && reflects(cfg) ? true : undefined,
+        description: cfg.description,
+        default: defaultText(cfg),
+      })
+    );
+
+  const methods = Object.keys(exposedMethods).map((name) => {
+    const method = methodConfig(exposedMethods[name]);
+    return omitUndefined({
+      kind: 'method',
+      name,
+      parameters: methodParams(method).map((param) => ({
+        name: param,
+        optional: true,
+        type: { text: 'any' },
+      })),
+      return: { type: { text: returnText(method) } },
+      description: method.description,
+    });
+  });
+
+  return {
+    kind: 'class',
+    name: className,
+    tagName,
+    customElement: true,
+    superclass: { name: config.parent?.name || 'HTMLElement' },
+    attributes,
+    members: [...fields, ...methods],
+    events: componentEvents(config).map(({ name, type, description }) =>
+      omitUndefined({ name, type: { text: type }, description })
+    ),
+  };
+}
+
+/**
+ * Generates TypeScript declarations for components, i.e. the contents of a
+ * .d.ts file. Each component gets a class declaration, an event map, and an
+ * entry in `HTMLElementTagNameMap`.
+ *
+ * @param {ModuleInfo[]} modules
+ * @returns {string}
+ */
+function generateTypes(modules) {
+  const components = modules.flatMap((module) => module.components);
+  const lines = [];
+
+  for (const { className, config } of components) {
+    const { exposedConfig = [], exposedMethods = {} } = config;
+    const superclass = config.parent?.name || 'HTMLElement';
+
+    lines.push(
+      `export interface ${className}EventMap extends HTMLElementEventMap {`
+    );
+    for (const { name, type } of componentEvents(config)) {
+      lines.push(`  ${JSON.stringify(name)}: ${type};`);
+    }
+    lines.push('}', '');
+
+    lines.push(`export declare class ${className} extends ${superclass} {`);
+    for (const cfg of exposedConfig) {
+      if (!cfg.propName) continue;
+      lines.push(...docComment(cfg.description));
+      lines.push(`  ${cfg.propName}: ${typeText(cfg)};`);
+    }
+    for (const name in exposedMethods) {
+      const method = methodConfig(exposedMethods[name]);
+      const params = methodParams(method)
+        .map((param) => `${param}?: any`)
+        .join(', ');
+      lines.push(...docComment(method.description));
+      lines.push(`  ${name}(${params}): ${returnText(method)};`);
+    }
+    lines.push(
+      `  addEventListener<K extends keyof ${className}EventMap>(` +
+        `type: K, listener: (this: ${className}, ev: ${className}EventMap[K]) => any, ` +
+        'options?: boolean | AddEventListenerOptions): void;',
+      '  addEventListener(type: string, listener: EventListenerOrEventListenerObject, ' +
+        'options?: boolean | AddEventListenerOptions): void;',
+      `  removeEventListener<K extends keyof ${className}EventMap>(` +
+        `type: K, listener: (this: ${className}, ev: ${className}EventMap[K]) => any, ` +
+        'options?: boolean | EventListenerOptions): void;',
+      '  removeEventListener(type: string, listener: EventListenerOrEventListenerObject, ' +
+        'options?: boolean | EventListenerOptions): void;',
+      '}',
+      ''
+    );
+  }
+
+  lines.push('declare global {', '  interface HTMLElementTagNameMap {');
+  for (const { className, tagName } of components) {
+    lines.push(`    ${JSON.stringify(tagName)}: ${className};`);
+  }
+  lines.push('  }', '}', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Lists the events that a component dispatches: the events handled by its
+ * on<event> attributes, its change notification events, 'invalid-value', and
+ * those declared in its `events` configuration.
+ *
+ * @param {Object} config
+ * @returns {Array<{name: string, type: string, description: string}>}
+ */
+function componentEvents({ exposedConfig = [], events = [] }) {
+  const list = new Map();
+  const add = (name, type, description) => {
+    if (!list.has(name)) list.set(name, { name, type, description });
+  };
+
+  for (const event of events) {
+    add(event.name, event.type || 'CustomEvent', event.description);
+  }
+  for (const cfg of exposedConfig) {
+    if (cfg.eventType) {
+      add(cfg.eventType, 'CustomEvent', cfg.description);
+    }
+    if (cfg.notify) {
+      const type = typeText(cfg);
+      add(
+        notificationType(cfg),
+        `CustomEvent<{ value: ${type}; oldValue: ${type} }>`,
+        `Dispatched when ${cfg.propName || cfg.attrName} changes.`
+      );
+    }
+  }
+  add(
+    'invalid-value',
+    'CustomEvent<{ name: string; propName?: string; attrName?: string; ' +
+      'value: any; reason: string }>',
+    'Dispatched when an invalid value is assigned to a property or attribute.'
+  );
+
+  return Array.from(list.values());
+}
+
+/**
+ * @param {Object} cfg property/attribute configuration object
+ * @returns {string} The TypeScript type of an exposed value.
+ */
+function typeText(cfg) {
+  if (cfg.eventType) return '((event: Event) => any) | null';
+  if (cfg.enum)
+    return cfg.enum.map((value) => JSON.stringify(value)).join(' | ');
+
+  switch (cfg.type) {
+    case Boolean:
+      return 'boolean';
+    case Number:
+      return 'number';
+    case String:
+      return 'string';
+    case Object:
+      return 'object';
+    case Array:
+      return 'any[]';
+    case Date:
+      return 'Date';
+    default:
+      return 'any';
+  }
+}
+
+/**
+ * @param {Object} cfg property/attribute configuration object
+ * @returns {string|undefined} The default value, as source code.
+ */
+function defaultText(cfg) {
+  return 'default' in cfg ? JSON.stringify(cfg.default) : undefined;
+}
+
+/**
+ * @param {Object} cfg property/attribute configuration object
+ * @returns {boolean} Whether the value is reflected into the HTML attribute.
+ */
+function reflects(cfg) {
+  return !cfg.eventType && cfg.reflect !== false;
+}
+
+/**
+ * @param {Hyperapp.Action|Object} method An item from `exposedMethods`.
+ * @returns {Object} method configuration object
+ */
+function methodConfig(method) {
+  return typeof method === 'function' ? { action: method } : method;
+}
+
+/**
+ * @param {Object} method method configuration object
+ * @returns {string[]} The method's parameter names.
+ */
+function methodParams(method) {
+  return method.params || ['payload'];
+}
+
+/**
+ * @param {Object} method method configuration object
+ * @returns {string} The TypeScript type of the method's return value.
+ */
+function returnText(method) {
+  if (method.awaitEffect) return 'Promise<any>';
+  return method.returns ? 'any' : 'void';
+}
+
+/**
+ * @param {string} [description]
+ * @returns {string[]} Lines of a doc comment, or none.
+ */
+function docComment(description) {
+  return description ? [`  /** ${description} */`] : [];
+}
+
+/**
+ * @param {string} tagName e.g. 'my-counter'
+ * @returns {string} e.g. 'MyCounter'
+ */
+function toClassName(tagName) {
+  return tagName.replace(/(^|-)(\w)/g, (_, __, char) => char.toUpperCase());
+}
+
+/**
+ * @param {Object} obj
+ * @returns {Object} A copy of the object without its undefined properties.
+ */
+function omitUndefined(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined)
+  );
+}
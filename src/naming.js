@@ -0,0 +1,22 @@
+export { kebabCase, notificationType };
+
+/**
+ * @param {string} name A camelCase name, e.g. 'fontSize'.
+ * @returns {string} The name in kebab-case, e.g. 'font-size'.
+ */
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, (char) => '-' + char.toLowerCase());
+}
+
+/**
+ * Returns the type of the event that announces changes to an exposed value:
+ * the `notify` option, if it is a string, or else the kebab-case name of the
+ * value followed by '-changed', e.g. 'selected-index-changed'.
+ *
+ * @param {Object} cfg property/attribute configuration object
+ * @returns {string}
+ */
+function notificationType(cfg) {
+  if (typeof cfg.notify === 'string') return cfg.notify;
+  return `${kebabCase(cfg.propName || cfg.attrName)}-changed`;
+}
@@ -0,0 +1,85 @@
+export { getStorage, loadState, saveState, serialiseState };
+
+/**
+ * Where persisted state is kept: 'local' (localStorage), 'session'
+ * (sessionStorage), or any object that implements the `getItem` and `setItem`
+ * methods of the Storage interface, e.g. an in-memory stand-in in tests.
+ *
+ * @typedef {string|Storage} StorageOption
+ */
+
+/**
+ * @param {StorageOption} [storage] Default: 'local'.
+ * @returns {Storage|null} null if the storage is unavailable, e.g. on the
+ *    server, or because the browser denies access to it.
+ */
+function getStorage(storage = 'local') {
+  if (typeof storage === 'object') return storage;
+  try {
+    return (
+      (storage === 'session'
+        ? globalThis.sessionStorage
+        : globalThis.localStorage) || null
+    );
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Reads persisted values from storage.
+ *
+ * @param {Storage|null} storage
+ * @param {string} key The storage key.
+ * @param {string[]} keys The state keys to restore. Anything else that was
+ *    stored is ignored.
+ * @returns {Object|undefined} The values, or undefined if there are none.
+ */
+function loadState(storage, key, keys) {
+  let stored;
+  try {
+    stored = JSON.parse(storage?.getItem(key) ?? 'null');
+  } catch (err) {
+    return undefined;
+  }
+  if (!stored || typeof stored !== 'object') return undefined;
+
+  const values = {};
+  for (const name of keys) {
+    if (name in stored) {
+      values[name] = stored[name];
+    }
+  }
+  return values;
+}
+
+/**
+ * @param {*} state
+ * @param {string[]} keys The state keys to persist.
+ * @returns {string} The selected values, serialised as JSON.
+ */
+function serialiseState(state, keys) {
+  const values = {};
+  for (const name of keys) {
+    if (state?.[name] !== undefined) {
+      values[name] = state[name];
+    }
+  }
+  return JSON.stringify(values);
+}
+
+/**
+ * Writes values to storage. Failures, e.g. because the storage is full, are
+ * written to the console.
+ *
+ * @param {Storage|null} storage
+ * @param {string} key The storage key.
+ * @param {string} json The values, serialised by `serialiseState`.
+ */
+function saveState(storage, key, json) {
+  try {
+    storage?.setItem(key, json);
+  } catch (err) {
+    console.warn(`Unable to persist the state of <${key}>:`, err);
+  }
+}
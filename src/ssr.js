@@ -0,0 +1,255 @@
+export { renderToString };
+
+import { getConverter } from './converters';
+import { kebabCase } from './naming';
+import { CONFIG } from './symbols';
+import { validateValue } from './validation';
+
+/**
+ * Hyperapp's VNode type for text nodes.
+ *
+ * @type {number}
+ */
+const TEXT_NODE = 3;
+
+/**
+ * Elements that have no closing tag.
+ *
+ * @type {Set<string>}
+ */
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+]);
+
+/**
+ * Renders a component to HTML on the server, so that it can be displayed before
+ * Javascript loads. The component's Shadow DOM is rendered into a declarative
+ * shadow root, i.e. `<my-tag><template shadowrootmode="open">...</template>
+ * </my-tag>`. When the component is upgraded in the browser, it hydrates the
+ * server-rendered DOM instead of building it from scratch.
+ *
+ * The state is computed just as it is in the browser: the initial state, then
+ * the default values, then the HTML attributes. Effects are not run on the
+ * server. Styles that are CSS strings are rendered as <style> elements, which
+ * are replaced by the component's own styles when it is upgraded.
+ *
+ * The shadow root's mode and `delegatesFocus` option are those in the
+ * component's `shadowRootOptions`. Light DOM components and extensions of
+ * native elements are not supported.
+ *
+ * @param {function} ElementClass A class returned by `generateClass`.
+ * @param {Object} [attributes] HTML attributes to add to the tag.
+ * @param {Object} [options]
+ * @param {string} [options.tagName] The component's tag name. Default: the
+ *    `name` in the component's configuration.
+ * @returns {string} HTML.
+ */
+function renderToString(ElementClass, attributes = {}, options = {}) {
+  const config = ElementClass[CONFIG];
+  if (!config) {
+    throw new TypeError('Not a class generated by generateClass');
+  }
+  if (!config.useShadowDOM) {
+    throw new TypeError('Only Shadow DOM components can be rendered');
+  }
+
+  const tagName = options.tagName || config.name;
+  if (!tagName) {
+    throw new TypeError('The component has no name. Specify a tagName.');
+  }
+
+  const state = computeState(config, attributes);
+
+  let shadowHTML = '';
+  for (const style of [].concat(config.styles || [])) {
+    // CSSStyleSheet objects do not exist on the server.
+    if (typeof style === 'string') {
+      shadowHTML += `<style data-ssr>${style}</style>`;
+    }
+  }
+  if (config.view) {
+    shadowHTML += renderVNode(config.view(state));
+  }
+
+  const { mode = 'open', delegatesFocus } = config.shadowRootOptions || {};
+  const templateAttributes = renderAttributes({
+    shadowrootmode: mode,
+    shadowrootdelegatesfocus: !!delegatesFocus,
+  });
+
+  return (
+    `<${tagName}${renderAttributes(attributes)}>` +
+    `<template${templateAttributes}>${shadowHTML}</template>` +
+    `</${tagName}>`
+  );
+}
+
+/**
+ * Computes the state that the component would have in the browser after it
+ * has been upgraded.
+ *
+ * @param {Object} config The component's configuration.
+ * @param {Object} attributes HTML attributes.
+ * @returns {Object}
+ */
+function computeState({ init, exposedConfig }, attributes) {
+  let state = reduce(undefined, init);
+
+  const setValue = (cfg, value) => {
+    const result = validateValue(cfg, value);
+    if (result.accept) {
+      const name = cfg.propName || cfg.attrName;
+      state = reduce(state, cfg.setter, { [name]: result.value });
+    }
+  };
+
+  for (const cfg of exposedConfig) {
+    const name = cfg.propName || cfg.attrName;
+    const getter = cfg.getter || ((state) => state?.[name]);
+    if ('default' in cfg && getter(state) === undefined) {
+      setValue(cfg, cfg.default);
+    }
+  }
+
+  for (const attrName in attributes) {
+    const cfg = exposedConfig.find(
+      (cfg) => cfg.attrName?.toLowerCase() === attrName.toLowerCase()
+    );
+    // on<event> handlers have no effect on the server.
+    if (cfg && !cfg.eventType) {
+      const value = attributes[attrName];
+      setValue(
+        cfg,
+        getConverter(cfg.type).fromAttribute(
+          value === null || value === undefined ? null : String(value)
+        )
+      );
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Does what Hyperapp's dispatch function does with an Action, a state, or an
+ * Action's return value, except that Effects are ignored.
+ *
+ * @param {*} state The current state.
+ * @param {*} action
+ * @param {*} [props]
+ * @returns {*} The new state.
+ */
+function reduce(state, action, props) {
+  if (typeof action === 'function') {
+    return reduce(state, action(state, props));
+  }
+  if (Array.isArray(action)) {
+    return typeof action[0] === 'function'
+      ? reduce(state, action[0], action[1])
+      : action[0];
+  }
+  return action;
+}
+
+/**
+ * Serialises a Hyperapp VNode to HTML.
+ *
+ * @param {Object} vnode
+ * @returns {string}
+ */
+function renderVNode(vnode) {
+  if (vnode === null || vnode === undefined || typeof vnode === 'boolean') {
+    return '';
+  }
+  if (typeof vnode.tag === 'function') {
+    // A memoised view.
+    return renderVNode(vnode.tag(vnode.memo));
+  }
+  if (vnode.type === TEXT_NODE) {
+    return escapeHTML(String(vnode.tag));
+  }
+
+  const { tag, props, children } = vnode;
+  const { innerHTML, ...attributes } = props;
+  const open = `<${tag}${renderAttributes(attributes)}>`;
+  if (VOID_ELEMENTS.has(tag)) {
+    return open;
+  }
+
+  const content =
+    innerHTML !== undefined
+      ? String(innerHTML)
+      : children.map((child) => renderVNode(child)).join('');
+  return `${open}${content}</${tag}>`;
+}
+
+/**
+ * Serialises HTML attributes. Event listeners, and attributes whose values are
+ * false, null or undefined, are omitted.
+ *
+ * @param {Object} attributes
+ * @returns {string} A string that begins with a space, unless it is empty.
+ */
+function renderAttributes(attributes) {
+  let html = '';
+  for (const name in attributes) {
+    let value = attributes[name];
+    if (
+      value === false ||
+      value === null ||
+      value === undefined ||
+      // Event listeners, i.e. Actions.
+      (name.startsWith('on') && typeof value !== 'string')
+    ) {
+      continue;
+    }
+
+    if (name === 'style' && typeof value === 'object') {
+      value = renderStyle(value);
+    }
+
+    html +=
+      value === true ? ` ${name}` : ` ${name}="${escapeHTML(String(value))}"`;
+  }
+  return html;
+}
+
+/**
+ * Serialises a Hyperapp style object, e.g. `{ fontSize: '2em', '--x': 1 }`.
+ *
+ * @param {Object} style
+ * @returns {string}
+ */
+function renderStyle(style) {
+  return Object.keys(style)
+    .filter((key) => style[key] !== null && style[key] !== undefined)
+    .map((key) => {
+      const property = key.startsWith('-') ? key : kebabCase(key);
+      return `${property}: ${style[key]}`;
+    })
+    .join('; ');
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHTML(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,232 @@
+export { adoptStyles, removeStyles, scopeStyles };
+
+/**
+ * Styles can be specified as CSS strings or CSSStyleSheet objects, or arrays of
+ * them.
+ *
+ * @typedef {string|CSSStyleSheet|Array<string|CSSStyleSheet>} Styles
+ */
+
+/**
+ * What was added to a ShadowRoot or Document by `adoptStyles`, so that it can
+ * later be removed.
+ *
+ * @typedef {Object} StylesHandle
+ * @property {ShadowRoot|Document} root
+ * @property {CSSStyleSheet[]} [sheets] Adopted stylesheets.
+ * @property {HTMLStyleElement[]} [elements] Fallback <style> elements.
+ */
+
+/**
+ * Constructed stylesheets, by CSS text. Sharing them means that every instance
+ * of a component uses the same stylesheet object, instead of parsing its own
+ * copy.
+ *
+ * @type {Map<string, CSSStyleSheet>}
+ */
+const sheetCache = new Map();
+
+/**
+ * Whether the engine supports constructable stylesheets that can be shared via
+ * `adoptedStyleSheets`.
+ *
+ * @returns {boolean}
+ */
+function supportsAdoptedStyleSheets() {
+  return (
+    typeof CSSStyleSheet !== 'undefined' &&
+    'replaceSync' in CSSStyleSheet.prototype &&
+    typeof Document !== 'undefined' &&
+    'adoptedStyleSheets' in Document.prototype
+  );
+}
+
+/**
+ * Adds styles to a ShadowRoot or Document. Uses `adoptedStyleSheets` where
+ * supported. Otherwise, falls back to <style> elements, which are placed at the
+ * beginning of a ShadowRoot, or at the end of a Document's <head>.
+ *
+ * @param {ShadowRoot|Document} root
+ * @param {Styles} [styles]
+ * @returns {StylesHandle}
+ */
+function adoptStyles(root, styles) {
+  const list = toArray(styles);
+
+  if (supportsAdoptedStyleSheets()) {
+    const sheets = list.map(toStyleSheet);
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...sheets];
+    return { root, sheets };
+  }
+
+  const parent = root.head || root;
+  const elements = list.map((style) => {
+    const el = document.createElement('style');
+    el.textContent = toCssText(style);
+    return el;
+  });
+  if (parent === root) {
+    root.prepend(...elements);
+  } else {
+    parent.append(...elements);
+  }
+  return { root, elements };
+}
+
+/**
+ * Removes styles that were added by `adoptStyles`.
+ *
+ * @param {StylesHandle} [handle]
+ */
+function removeStyles(handle) {
+  if (!handle) return;
+
+  if (handle.sheets) {
+    handle.root.adoptedStyleSheets = handle.root.adoptedStyleSheets.filter(
+      (sheet) => !handle.sheets.includes(sheet)
+    );
+  }
+  for (const el of handle.elements || []) {
+    el.remove();
+  }
+}
+
+/**
+ * Rewrites styles so that they apply only to the Light DOM contents of
+ * elements with a given tag name. Every selector is prefixed with the tag name,
+ * and `:host` is replaced with it, e.g. for 'my-tag':
+ *   `:host { display: block }` => `my-tag { display: block }`
+ *   `:host(.big) p` => `my-tag.big p`
+ *   `p, span` => `my-tag p, my-tag span`
+ *
+ * @param {Styles} [styles]
+ * @param {string} tagName
+ * @returns {string} CSS text.
+ */
+function scopeStyles(styles, tagName) {
+  return toArray(styles)
+    .map((style) => scopeRules(parseRules(toCssText(style)), tagName))
+    .join('\n');
+}
+
+/**
+ * @param {Styles} [styles]
+ * @returns {Array<string|CSSStyleSheet>}
+ */
+function toArray(styles) {
+  if (styles === undefined || styles === null) return [];
+  return Array.isArray(styles) ? styles : [styles];
+}
+
+/**
+ * @param {string|CSSStyleSheet} style
+ * @returns {CSSStyleSheet}
+ */
+function toStyleSheet(style) {
+  if (typeof style !== 'string') return style;
+
+  let sheet = sheetCache.get(style);
+  if (!sheet) {
+    sheet = new CSSStyleSheet();
+    sheet.replaceSync(style);
+    sheetCache.set(style, sheet);
+  }
+  return sheet;
+}
+
+/**
+ * @param {string|CSSStyleSheet} style
+ * @returns {string}
+ */
+function toCssText(style) {
+  if (typeof style === 'string') return style;
+  return Array.from(style.cssRules, (rule) => rule.cssText).join('\n');
+}
+
+/**
+ * Uses the engine's CSS parser to break CSS text into rules.
+ *
+ * @param {string} cssText
+ * @returns {CSSRule[]}
+ */
+function parseRules(cssText) {
+  if (supportsAdoptedStyleSheets()) {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(cssText);
+    return Array.from(sheet.cssRules);
+  }
+
+  // A <style> element is parsed only when it is in the document. Disable it so
+  // that its styles do not take effect while it is there.
+  const el = document.createElement('style');
+  el.media = 'not all';
+  el.textContent = cssText;
+  document.head.appendChild(el);
+  const rules = Array.from(el.sheet.cssRules);
+  el.remove();
+  return rules;
+}
+
+/**
+ * @param {CSSRule[]|CSSRuleList} rules
+ * @param {string} tagName
+ * @returns {string} CSS text.
+ */
+function scopeRules(rules, tagName) {
+  return Array.from(rules, (rule) => {
+    if (rule.selectorText !== undefined) {
+      // A style rule.
+      const selectors = splitSelectorList(rule.selectorText).map((selector) =>
+        scopeSelector(selector, tagName)
+      );
+      return `${selectors.join(', ')} { ${rule.style.cssText} }`;
+    }
+    if (rule.cssRules && !('name' in rule)) {
+      // A grouping rule, such as @media or @supports. Keep its prelude and
+      // scope its contents. (@keyframes has a name, and its contents are not
+      // selectors.)
+      const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{'));
+      return `${prelude}{\n${scopeRules(rule.cssRules, tagName)}\n}`;
+    }
+    return rule.cssText;
+  }).join('\n');
+}
+
+/**
+ * Splits a selector list at its top-level commas, i.e. not those inside
+ * parentheses such as `:is(a, b)`.
+ *
+ * @param {string} selectorList
+ * @returns {string[]}
+ */
+function splitSelectorList(selectorList) {
+  const selectors = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < selectorList.length; i++) {
+    const char = selectorList[i];
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      selectors.push(selectorList.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  selectors.push(selectorList.slice(start).trim());
+  return selectors;
+}
+
+/**
+ * @param {string} selector
+ * @param {string} tagName
+ * @returns {string}
+ */
+function scopeSelector(selector, tagName) {
+  const host = selector.match(/^:host(?:\(([^)]*)\))?/);
+  if (host) {
+    return tagName + (host[1] || '') + selector.slice(host[0].length);
+  }
+  return `${tagName} ${selector}`;
+}
@@ -0,0 +1,206 @@
+export {
+  onHostEvent,
+  onIntersection,
+  onMediaQuery,
+  onMutation,
+  onResize,
+  subscriberDispatch,
+};
+
+/**
+ * Hyperapp Subscriptions that observe the component's own host element. Their
+ * Subscribers are bound to the component, which generated classes do for every
+ * Subscriber. Like any Subscription, they stop when the component leaves the
+ * DOM, and start again when it re-enters it.
+ *
+ * Hyperapp restarts a Subscription whenever one of its props changes, so
+ * options that are objects or arrays should not be created anew on every call
+ * of the `subscriptions` function.
+ *
+ * Where the engine does not support an observer, e.g. on the server, the
+ * Subscription does nothing.
+ */
+
+/**
+ * Returns a Subscription that dispatches an Action with a ResizeObserverEntry
+ * as its payload whenever the component's size changes, and once when it
+ * starts.
+ *
+ * @param {Hyperapp.Action} action
+ * @param {string} [box] Which box model to observe: 'content-box',
+ *    'border-box' or 'device-pixel-content-box'. Default: 'content-box'.
+ * @returns {Hyperapp.Subscription}
+ */
+function onResize(action, box) {
+  return [resizeSubscriber, { action, box }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function resizeSubscriber(dispatch, { action, box }) {
+  if (typeof ResizeObserver === 'undefined') return () => {};
+
+  const observer = new ResizeObserver((entries) => {
+    dispatch(action, entries[entries.length - 1]);
+  });
+  observer.observe(this, box && { box });
+  return () => observer.disconnect();
+}
+
+/**
+ * Returns a Subscription that dispatches an Action with an
+ * IntersectionObserverEntry as its payload whenever the component's visibility
+ * crosses a threshold, and once when it starts.
+ *
+ * @param {Hyperapp.Action} action
+ * @param {Object} [options] IntersectionObserver options: `root`,
+ *    `rootMargin` and `threshold`.
+ * @returns {Hyperapp.Subscription}
+ */
+function onIntersection(action, { root, rootMargin, threshold } = {}) {
+  return [intersectionSubscriber, { action, root, rootMargin, threshold }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function intersectionSubscriber(dispatch, { action, ...options }) {
+  if (typeof IntersectionObserver === 'undefined') return () => {};
+
+  const observer = new IntersectionObserver((entries) => {
+    dispatch(action, entries[entries.length - 1]);
+  }, options);
+  observer.observe(this);
+  return () => observer.disconnect();
+}
+
+/**
+ * Returns a Subscription that dispatches an Action with an array of
+ * MutationRecords as its payload whenever the component's attributes or
+ * children change. This is useful for attributes that are not exposed.
+ *
+ * @param {Hyperapp.Action} action
+ * @param {MutationObserverInit} [options] What to observe. Default: all
+ *    attributes.
+ * @returns {Hyperapp.Subscription}
+ */
+function onMutation(action, options) {
+  return [mutationSubscriber, { action, options }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function mutationSubscriber(dispatch, { action, options }) {
+  if (typeof MutationObserver === 'undefined') return () => {};
+
+  const observer = new MutationObserver((records) => dispatch(action, records));
+  observer.observe(this, options || { attributes: true });
+  return () => observer.disconnect();
+}
+
+/**
+ * Returns a Subscription that dispatches an Action with a boolean payload that
+ * says whether a media query matches, when it starts and whenever that
+ * changes, e.g. `onMediaQuery('(prefers-color-scheme: dark)', SetDarkMode)`.
+ *
+ * @param {string} query
+ * @param {Hyperapp.Action} action
+ * @returns {Hyperapp.Subscription}
+ */
+function onMediaQuery(query, action) {
+  return [mediaQuerySubscriber, { query, action }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function mediaQuerySubscriber(dispatch, { query, action }) {
+  if (typeof matchMedia === 'undefined') return () => {};
+
+  const sub = subscriberDispatch(dispatch);
+  const mql = matchMedia(query);
+  const listener = (ev) => sub.dispatch(action, ev.matches);
+  mql.addEventListener('change', listener);
+  sub.dispatch(action, mql.matches);
+
+  return () => {
+    sub.end();
+    mql.removeEventListener('change', listener);
+  };
+}
+
+/**
+ * Returns a Subscription that dispatches an Action with an event as its payload
+ * whenever the component receives an event of a given type, e.g.
+ * `onHostEvent('focusin', SetFocused)`.
+ *
+ * @param {string} type The event type.
+ * @param {Hyperapp.Action} action
+ * @param {boolean} [capture] Whether to listen in the capture phase.
+ * @returns {Hyperapp.Subscription}
+ */
+function onHostEvent(type, action, capture = false) {
+  return [hostEventSubscriber, { type, action, capture }];
+}
+
+/**
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @param {Object} props
+ * @returns {function} A function that ends the subscription.
+ */
+function hostEventSubscriber(dispatch, { type, action, capture }) {
+  const listener = (ev) => dispatch(action, ev);
+  this.addEventListener(type, listener, capture);
+  return () => this.removeEventListener(type, listener, capture);
+}
+
+/**
+ * Returns a dispatch function for a Subscriber that may need to dispatch while
+ * it is starting, e.g. to report an initial value. Hyperapp is still starting
+ * the Subscription while the Subscriber runs, and cannot handle a dispatch
+ * until it has finished, so dispatches made meanwhile are deferred to a
+ * microtask, in order. Once the Subscription has ended, dispatches are dropped,
+ * including deferred ones.
+ *
+ * @param {function} dispatch The dispatch function passed by Hyperapp.
+ * @returns {{dispatch: function, end: function, active: boolean}} Call `end`
+ *      when the Subscription ends. `active` is false after that.
+ */
+function subscriberDispatch(dispatch) {
+  let active = true;
+  let deferred = [];
+  queueMicrotask(() => {
+    const pending = deferred;
+    deferred = undefined;
+    for (const [action, props] of pending) {
+      if (active) dispatch(action, props);
+    }
+  });
+
+  return {
+    dispatch(action, props) {
+      if (!active) return;
+      if (deferred) {
+        deferred.push([action, props]);
+      } else {
+        dispatch(action, props);
+      }
+    },
+    end() {
+      active = false;
+    },
+    get active() {
+      return active;
+    },
+  };
+}
@@ -0,0 +1,20 @@
+export { CONFIG, RENDER_ROOT };
+
+/**
+ * Key of a static property of generated classes that holds the configuration
+ * they were generated from, for use by tools such as `renderToString`. It is
+ * registered globally, because such tools may be bundled separately.
+ *
+ * @type {symbol}
+ */
+const CONFIG = Symbol.for('hyperapp-custom-element/config');
+
+/**
+ * Key of a property of generated components that returns where the view is
+ * rendered: the component's ShadowRoot, even if it is closed, or, if it does
+ * not use Shadow DOM, the component itself. Effects, Subscriptions and the
+ * testing helpers use it to find the elements that the view creates.
+ *
+ * @type {symbol}
+ */
+const RENDER_ROOT = Symbol.for('hyperapp-custom-element/render-root');
@@ -0,0 +1,188 @@
+export { memoryStorage, mount, nextRender };
+
+import { RENDER_ROOT } from './symbols';
+
+/**
+ * Helpers for testing CustomElements built with `generateClass`, without a
+ * browser. They need a DOM implementation such as jsdom or happy-dom, e.g. as
+ * provided by a test runner's DOM environment.
+ *
+ * @example
+ * const fixture = await mount(MyCounter, { attributes: { step: 3 } });
+ * fixture.call('increment');
+ * await fixture.nextRender();
+ * expect(fixture.element.count).toBe(3);
+ * expect(fixture.eventsOfType('Incremented')).toHaveLength(1);
+ * expect(fixture.html()).toMatchSnapshot();
+ * fixture.unmount();
+ */
+
+/**
+ * Used to generate unique tag names for classes that have not been defined.
+ *
+ * @type {number}
+ */
+let tagCounter = 0;
+
+/**
+ * The tag names with which `mount` has defined classes.
+ *
+ * @type {WeakMap<function, string>}
+ */
+const definedClasses = new WeakMap();
+
+/**
+ * A mounted component.
+ *
+ * @typedef {Object} Fixture
+ * @property {HTMLElement} element The component.
+ * @property {Event[]} events The events that the component has dispatched on
+ *    itself since it was created, e.g. by the `dispatchEvent` Effect.
+ * @property {function(string):Event[]} eventsOfType Returns the captured events
+ *    of a given type.
+ * @property {function(string, *):Promise} setAttribute Sets an HTML attribute
+ *    (or removes it, if the value is null), and waits for the next render.
+ * @property {function(string, *):Promise} setProperty Sets a property, and
+ *    waits for the next render.
+ * @property {function(string, ...*):*} call Calls a method exposed by the
+ *    component, and returns its return value.
+ * @property {function():Promise} nextRender Waits until the component has
+ *    rendered any changes to its state.
+ * @property {function():string} html Serialises the component's Shadow DOM, or
+ *    its Light DOM if it does not use Shadow DOM, e.g. for snapshots.
+ * @property {function():void} unmount Removes the component from the DOM.
+ */
+
+/**
+ * Creates a component and adds it to the document.
+ *
+ * The component is created the way the browser's HTML parser creates it: its
+ * HTML attributes and children are present before it is upgraded, so they are
+ * available when its app starts.
+ *
+ * @param {function|string} elementClass A class returned by `generateClass`,
+ *    or the tag name of a defined CustomElement. A class that has not been
+ *    defined is defined with a unique tag name.
+ * @param {Object} [options]
+ * @param {Object} [options.attributes] HTML attributes to add to the tag.
+ * @param {Object} [options.properties] Properties to set after the component
+ *    has been created.
+ * @param {string} [options.innerHTML] HTML to place inside the tag.
+ * @param {Node} [options.container] Where to add the component. Default:
+ *    `document.body`.
+ * @returns {Promise<Fixture>} Settles after the component's first render.
+ */
+async function mount(elementClass, options = {}) {
+  const {
+    attributes = {},
+    properties = {},
+    innerHTML = '',
+    container = document.body,
+  } = options;
+
+  const tagName =
+    typeof elementClass === 'string' ? elementClass : defineClass(elementClass);
+
+  // Elements in a template's content are not upgraded, so we can add the
+  // attributes and children before the component's constructor runs.
+  const template = document.createElement('template');
+  template.innerHTML = `<${tagName}>${innerHTML}</${tagName}>`;
+  const element = document.adoptNode(template.content.firstElementChild);
+  for (const name in attributes) {
+    if (attributes[name] !== null && attributes[name] !== undefined) {
+      element.setAttribute(name, attributes[name]);
+    }
+  }
+
+  // Capture events from the start, including those dispatched while the
+  // component is upgraded and its app starts.
+  const events = [];
+  const dispatchEvent = element.dispatchEvent;
+  element.dispatchEvent = function (event) {
+    events.push(event);
+    return dispatchEvent.call(this, event);
+  };
+
+  // The component is upgraded when it enters the document.
+  container.appendChild(element);
+
+  Object.assign(element, properties);
+
+  await nextRender();
+
+  return {
+    element,
+    events,
+    eventsOfType: (type) => events.filter((event) => event.type === type),
+    async setAttribute(name, value) {
+      if (value === null || value === undefined) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+      await nextRender();
+    },
+    async setProperty(name, value) {
+      element[name] = value;
+      await nextRender();
+    },
+    call: (name, ...args) => element[name](...args),
+    nextRender,
+    html: () => (element[RENDER_ROOT] || element).innerHTML,
+    unmount: () => element.remove(),
+  };
+}
+
+/**
+ * Waits until components have rendered any changes to their state. Hyperapp
+ * renders in the next animation frame (or in a timeout if there are no
+ * animation frames), so this waits for a callback that is queued after
+ * Hyperapp's.
+ *
+ * @returns {Promise}
+ */
+function nextRender() {
+  const enqueue =
+    typeof requestAnimationFrame !== 'undefined'
+      ? requestAnimationFrame
+      : setTimeout;
+  return new Promise((resolve) => enqueue(() => resolve()));
+}
+
+/**
+ * Defines a class with a unique tag name, unless it has already been defined.
+ *
+ * @param {function} elementClass
+ * @returns {string} The tag name.
+ */
+function defineClass(elementClass) {
+  const existing =
+    definedClasses.get(elementClass) || customElements.getName?.(elementClass);
+  if (existing) return existing;
+
+  const tagName = `test-element-${++tagCounter}`;
+  customElements.define(tagName, elementClass);
+  definedClasses.set(elementClass, tagName);
+  return tagName;
+}
+
+/**
+ * Returns an in-memory stand-in for localStorage or sessionStorage, e.g. for
+ * the `persist.storage` configuration property in tests.
+ *
+ * @param {Object<string, string>} [items] Initial contents.
+ * @returns {Storage}
+ */
+function memoryStorage(items = {}) {
+  const map = new Map(Object.entries(items));
+  return {
+    get length() {
+      return map.size;
+    },
+    key: (index) => Array.from(map.keys())[index] ?? null,
+    getItem: (key) => (map.has(key) ? map.get(key) : null),
+    setItem: (key, value) => map.set(key, String(value)),
+    removeItem: (key) => map.delete(key),
+    clear: () => map.clear(),
+  };
+}
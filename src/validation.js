@@ -0,0 +1,107 @@
+export { validateValue };
+
+/**
+ * The result of validating a value that a consuming app has assigned to an
+ * exposed property or attribute.
+ *
+ * @typedef {Object} ValidationResult
+ * @property {boolean} accept Whether the setter should be called.
+ * @property {*} value The value to pass to the setter. This may differ from the
+ *    value that was assigned, e.g. if it was replaced by the default value or
+ *    clamped.
+ * @property {string} [reason] If the assigned value was invalid, the name of
+ *    the rule that it broke: 'required', 'type', 'enum', 'min', 'max' or
+ *    'validate'.
+ */
+
+/**
+ * Validates a value that is being assigned to an exposed property or
+ * attribute, according to the rules in its `exposedConfig` entry, and decides
+ * what to do with it.
+ *
+ * A null or undefined value, e.g. when an attribute is removed, is replaced by
+ * the default value if there is one. Otherwise it is valid unless the entry is
+ * `required`.
+ *
+ * What happens to an invalid value is governed by the entry's `onInvalid`
+ * policy:
+ * 'reject': the value is ignored and the state does not change (default).
+ * 'clamp': a value that is below `min` or above `max` is replaced by `min` or
+ *    `max` respectively. Other invalid values are rejected.
+ * 'default': the value is replaced by the default value, or rejected if there
+ *    is no default value.
+ *
+ * @param {Object} cfg An item from the `exposedConfig` array.
+ * @param {*} value
+ * @returns {ValidationResult}
+ */
+function validateValue(cfg, value) {
+  const hasDefault = 'default' in cfg;
+
+  const invalid = (reason, clampedValue) => {
+    const policy = cfg.onInvalid || 'reject';
+    if (policy === 'clamp' && clampedValue !== undefined) {
+      return { accept: true, value: clampedValue, reason };
+    }
+    if (policy === 'default' && hasDefault) {
+      return { accept: true, value: cfg.default, reason };
+    }
+    return { accept: false, value, reason };
+  };
+
+  if (value === null || value === undefined) {
+    if (hasDefault) {
+      return { accept: true, value: cfg.default };
+    }
+    return cfg.required ? invalid('required') : { accept: true, value };
+  }
+
+  if (!isOfType(cfg.type, value)) {
+    return invalid('type');
+  }
+
+  if (cfg.enum && !cfg.enum.includes(value)) {
+    return invalid('enum');
+  }
+
+  if (cfg.min !== undefined && value < cfg.min) {
+    return invalid('min', cfg.min);
+  }
+
+  if (cfg.max !== undefined && value > cfg.max) {
+    return invalid('max', cfg.max);
+  }
+
+  if (typeof cfg.validate === 'function' && !cfg.validate(value)) {
+    return invalid('validate');
+  }
+
+  return { accept: true, value };
+}
+
+/**
+ * Checks whether a value is of a type that can be declared in `exposedConfig`.
+ * Values of undeclared types and of custom converter types are not checked.
+ *
+ * @param {function|Object} [type]
+ * @param {*} value Not null or undefined.
+ * @returns {boolean}
+ */
+function isOfType(type, value) {
+  switch (type) {
+    case Boolean:
+      return typeof value === 'boolean';
+    case Number:
+      return typeof value === 'number' && !isNaN(value);
+    case String:
+      return typeof value === 'string';
+    case Array:
+      return Array.isArray(value);
+    case Object:
+      return typeof value === 'object';
+    case Date:
+      return value instanceof Date && !isNaN(value);
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import { app, h } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { summariseContent } from '../src/content';
+import { mount, nextRender } from '../src/testing';
+
+describe('summariseContent', () => {
+  function host(innerHTML) {
+    const el = document.createElement('div');
+    el.innerHTML = innerHTML;
+    const shadowRoot = el.attachShadow({ mode: 'closed' });
+    shadowRoot.innerHTML = '<slot name="label"></slot><slot></slot>';
+    return [el, shadowRoot];
+  }
+
+  it('summarises children and the nodes assigned to each slot', () => {
+    const [el, shadowRoot] = host(
+      '<b slot="label" id="x">Name</b>\n  Some text\n  <i>more</i>\n'
+    );
+    expect(summariseContent(el, shadowRoot)).toEqual({
+      children: [
+        { tag: 'b', attributes: { slot: 'label', id: 'x' }, text: 'Name' },
+        { tag: 'i', attributes: {}, text: 'more' },
+      ],
+      slots: {
+        label: [
+          { tag: 'b', attributes: { slot: 'label', id: 'x' }, text: 'Name' },
+        ],
+        '': [{ text: 'Some text' }, { tag: 'i', attributes: {}, text: 'more' }],
+      },
+    });
+  });
+
+  it('uses a custom summary function', () => {
+    const [el, shadowRoot] = host('<b slot="label">Name</b>');
+    const summary = summariseContent(el, shadowRoot, (node) => node.nodeName);
+    expect(summary).toEqual({
+      children: ['B'],
+      slots: { label: ['B'], '': [] },
+    });
+  });
+});
+
+describe('observeContent', () => {
+  function listConfig(onChange) {
+    return {
+      app,
+      init: {},
+      view: () => h('slot', {}),
+      observeContent: { onChange },
+    };
+  }
+
+  it('reports the content when the component enters the DOM', async () => {
+    const onChange = vi.fn((state) => state);
+    await mount(generateClass(listConfig(onChange)), {
+      innerHTML: '<li>One</li>',
+    });
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][1].slots['']).toEqual([
+      { tag: 'li', attributes: {}, text: 'One' },
+    ]);
+  });
+
+  it('reports a burst of changes once', async () => {
+    const onChange = vi.fn((state) => state);
+    const fixture = await mount(generateClass(listConfig(onChange)));
+    onChange.mockClear();
+
+    const { element } = fixture;
+    element.innerHTML = '<li>One</li>';
+    element.appendChild(document.createElement('li')).textContent = 'Two';
+    element.firstElementChild.setAttribute('data-done', '');
+    await nextRender();
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange.mock.calls[0][1].children).toEqual([
+      { tag: 'li', attributes: { 'data-done': '' }, text: 'One' },
+      { tag: 'li', attributes: {}, text: 'Two' },
+    ]);
+  });
+
+  it('does not report changes that do not change the summary', async () => {
+    const onChange = vi.fn((state) => state);
+    const fixture = await mount(generateClass(listConfig(onChange)), {
+      innerHTML: '<li>One</li>',
+    });
+    onChange.mockClear();
+
+    fixture.element.appendChild(document.createComment('ignored'));
+    fixture.element.firstElementChild.textContent = 'One';
+    await nextRender();
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
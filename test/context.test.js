@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { consumeContext, ContextRequestEvent } from '../src/context';
+import { mount, nextRender } from '../src/testing';
+
+const SetTheme = (state, theme) => ({ ...state, theme });
+
+const Provider = generateClass({
+  app,
+  init: { theme: 'light' },
+  view: () => h('slot', {}),
+  exposedConfig: [{ propName: 'theme' }],
+  provide: { theme: (state) => state.theme },
+});
+customElements.define('x-theme-provider', Provider);
+
+const Consumer = generateClass({
+  app,
+  init: { theme: 'none' },
+  view: (state) => h('p', {}, text(state.theme)),
+  subscriptions: () => [consumeContext('theme', SetTheme)],
+  exposedConfig: [{ propName: 'theme' }],
+});
+customElements.define('x-theme-consumer', Consumer);
+
+describe('context', () => {
+  it('provides values to descendants, and updates them', async () => {
+    const fixture = await mount('x-theme-provider', {
+      innerHTML: '<x-theme-consumer></x-theme-consumer>',
+    });
+    const consumer = fixture.element.querySelector('x-theme-consumer');
+    await nextRender();
+    expect(consumer.theme).toBe('light');
+
+    fixture.element.theme = 'dark';
+    await nextRender();
+    expect(consumer.theme).toBe('dark');
+    expect(consumer.shadowRoot.innerHTML).toBe('<p>dark</p>');
+    fixture.unmount();
+  });
+
+  it('requests the value again when the consumer is moved', async () => {
+    const first = await mount('x-theme-provider');
+    const second = await mount('x-theme-provider', {
+      properties: { theme: 'blue' },
+    });
+    const consumer = document.createElement('x-theme-consumer');
+    first.element.appendChild(consumer);
+    await nextRender();
+    expect(consumer.theme).toBe('light');
+
+    second.element.appendChild(consumer);
+    await nextRender();
+    expect(consumer.theme).toBe('blue');
+
+    // The first provider no longer updates it.
+    first.element.theme = 'dark';
+    await nextRender();
+    expect(consumer.theme).toBe('blue');
+    first.unmount();
+    second.unmount();
+  });
+
+  it('answers one-off requests from any code', async () => {
+    const fixture = await mount('x-theme-provider', {
+      innerHTML: '<span></span>',
+    });
+    let value;
+    fixture.element
+      .querySelector('span')
+      .dispatchEvent(
+        new ContextRequestEvent('theme', null, (theme) => (value = theme))
+      );
+    expect(value).toBe('light');
+    fixture.unmount();
+  });
+});
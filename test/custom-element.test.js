@@ -0,0 +1,874 @@
+import {
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  it,
+  expect,
+  vi,
+} from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { define } from '../src/define';
+import {
+  dispatchEvent,
+  setNativeProperties,
+  setValidity,
+} from '../src/effects';
+import { mount, nextRender } from '../src/testing';
+
+function Increment(state, amount = 1) {
+  return [
+    { ...state, count: state.count + amount },
+    dispatchEvent('Incremented', { detail: state.count + amount }),
+  ];
+}
+
+function counterConfig(overrides) {
+  return {
+    app,
+    init: { count: 0 },
+    view: (state) => h('p', {}, text(`${state.count} by ${state.step}`)),
+    exposedConfig: [
+      { propName: 'count' },
+      { propName: 'step', attrName: 'step', type: Number, default: 1, min: 1 },
+      { propName: 'hidden', attrName: 'is-hidden', type: Boolean },
+      {
+        propName: 'onincrement',
+        attrName: 'onincrement',
+        eventType: 'Incremented',
+      },
+    ],
+    exposedMethods: { increment: Increment },
+    ...overrides,
+  };
+}
+
+describe('generateClass', () => {
+  it('renders the view into the Shadow DOM', async () => {
+    const fixture = await mount(generateClass(counterConfig()));
+    expect(fixture.html()).toBe('<p>0 by 1</p>');
+  });
+
+  it('renders the view into the Light DOM', async () => {
+    const fixture = await mount(
+      generateClass(counterConfig({ useShadowDOM: false }))
+    );
+    expect(fixture.element.shadowRoot).toBeNull();
+    expect(fixture.html()).toBe('<p>0 by 1</p>');
+  });
+
+  it('converts attribute values to the declared type', async () => {
+    const fixture = await mount(generateClass(counterConfig()), {
+      attributes: { step: '5', 'is-hidden': '' },
+    });
+    expect(fixture.element.step).toBe(5);
+    expect(fixture.element.hidden).toBe(true);
+
+    await fixture.setAttribute('is-hidden', null);
+    expect(fixture.element.hidden).toBe(false);
+  });
+
+  it('reflects property values into attributes', async () => {
+    const fixture = await mount(generateClass(counterConfig()));
+    await fixture.setProperty('step', 7);
+    await fixture.setProperty('hidden', true);
+    expect(fixture.element.getAttribute('step')).toBe('7');
+    expect(fixture.element.getAttribute('is-hidden')).toBe('');
+    expect(fixture.html()).toBe('<p>0 by 7</p>');
+  });
+
+  it('reflects attributes once per microtask', async () => {
+    const fixture = await mount(generateClass(counterConfig()));
+    const setAttribute = vi.spyOn(fixture.element, 'setAttribute');
+    fixture.element.step = 2;
+    fixture.element.step = 3;
+    expect(setAttribute).not.toHaveBeenCalled();
+
+    await Promise.resolve();
+    expect(setAttribute).toHaveBeenCalledTimes(1);
+    expect(setAttribute).toHaveBeenCalledWith('step', '3');
+  });
+
+  it('reflects attributes according to their reflect mode', async () => {
+    const setter = vi.fn((state, props) => ({ ...state, ...props }));
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [
+            { propName: 'a', attrName: 'a', reflect: 'sync', setter },
+            { propName: 'b', attrName: 'b', reflect: false },
+          ],
+        })
+      )
+    );
+    fixture.element.a = 'x';
+    fixture.element.b = 'y';
+    expect(fixture.element.getAttribute('a')).toBe('x');
+
+    // Reflection does not dispatch the value back into the state.
+    expect(setter).toHaveBeenCalledTimes(1);
+
+    await fixture.nextRender();
+    expect(fixture.element.hasAttribute('b')).toBe(false);
+  });
+
+  it('reflects attributes synchronously only once in the DOM', () => {
+    const SyncReflect = generateClass(
+      counterConfig({
+        init: { count: 3 },
+        exposedConfig: [
+          { propName: 'count', attrName: 'count', reflect: 'sync' },
+          { propName: 'size', attrName: 'size', reflect: 'sync', default: 2 },
+        ],
+      })
+    );
+    customElements.define('sync-reflect', SyncReflect);
+
+    // The constructor must not add attributes.
+    const el = document.createElement('sync-reflect');
+    expect(el).toBeInstanceOf(SyncReflect);
+    expect(el.hasAttribute('count')).toBe(false);
+
+    document.body.appendChild(el);
+    expect(el.getAttribute('count')).toBe('3');
+    expect(el.getAttribute('size')).toBe('2');
+    el.remove();
+  });
+
+  it('leaves attributes alone when their values are stored elsewhere or unchanged', async () => {
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [
+            {
+              attrName: 'label',
+              setter: (state, { label }) => ({ ...state, text: label }),
+            },
+            { propName: 'n', attrName: 'n', type: Number },
+            { propName: 'due', attrName: 'due', type: Date },
+          ],
+        })
+      ),
+      { attributes: { label: 'hi', n: '05', due: '2024-01-02' } }
+    );
+    await fixture.nextRender();
+    expect(fixture.element.getAttribute('label')).toBe('hi');
+    expect(fixture.element.getAttribute('n')).toBe('05');
+    expect(fixture.element.getAttribute('due')).toBe('2024-01-02');
+
+    fixture.element.n = 6;
+    await fixture.nextRender();
+    expect(fixture.element.getAttribute('n')).toBe('6');
+  });
+
+  it('dispatches change notification events', async () => {
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [
+            { propName: 'count', notify: true },
+            { propName: 'stepSize', notify: 'step' },
+          ],
+        })
+      )
+    );
+    fixture.call('increment', 2);
+    fixture.element.stepSize = 1;
+    fixture.element.stepSize = 1;
+
+    const [countChanged] = fixture.eventsOfType('count-changed');
+    expect(countChanged.detail).toEqual({ value: 2, oldValue: 0 });
+    expect(fixture.eventsOfType('step')).toHaveLength(1);
+  });
+
+  it('recomputes derived values only when their inputs change', async () => {
+    const getter = vi.fn((state) => state.items.filter((item) => item.done));
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          init: { count: 0, items: [{ done: true }, { done: false }] },
+          exposedConfig: [
+            { propName: 'count', attrName: 'count', reflect: 'sync' },
+            { propName: 'done', getter, inputs: ['items'], notify: true },
+          ],
+        })
+      )
+    );
+    const { element } = fixture;
+    const setAttribute = vi.spyOn(element, 'setAttribute');
+    const calls = getter.mock.calls.length;
+
+    expect(element.done).toHaveLength(1);
+    element.increment();
+    expect(element.done).toBe(element.done);
+    expect(getter).toHaveBeenCalledTimes(calls);
+    expect(fixture.eventsOfType('done-changed')).toHaveLength(0);
+    expect(setAttribute).toHaveBeenCalledTimes(1);
+
+    element.dispatchAction((state) => ({ ...state, items: [] }));
+    expect(element.done).toEqual([]);
+    expect(getter).toHaveBeenCalledTimes(calls + 1);
+    expect(fixture.eventsOfType('done-changed')).toHaveLength(1);
+    expect(setAttribute).toHaveBeenCalledTimes(1);
+  });
+
+  it('computes derived values that are not watched only when read', async () => {
+    const getter = vi.fn((state) => state.count * 2);
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [
+            { propName: 'count' },
+            { propName: 'double', getter },
+          ],
+        })
+      )
+    );
+    const { element } = fixture;
+    element.increment();
+    element.increment();
+    expect(getter).not.toHaveBeenCalled();
+
+    expect(element.double).toBe(4);
+    expect(element.double).toBe(4);
+    expect(getter).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects invalid values and reports them', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fixture = await mount(generateClass(counterConfig()));
+    await fixture.setAttribute('step', 'abc');
+
+    expect(fixture.element.step).toBe(1);
+    const [event] = fixture.eventsOfType('invalid-value');
+    expect(event.detail).toMatchObject({ name: 'step', reason: 'type' });
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('restores attributes whose values were rejected or coerced', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fixture = await mount(generateClass(counterConfig()));
+    await fixture.setAttribute('step', 'abc');
+    expect(fixture.element.getAttribute('step')).toBe('1');
+
+    const clamping = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [
+            {
+              propName: 'step',
+              attrName: 'step',
+              type: Number,
+              default: 1,
+              min: 1,
+              onInvalid: 'clamp',
+            },
+          ],
+        })
+      )
+    );
+    await clamping.setAttribute('step', '0');
+    expect(clamping.element.step).toBe(1);
+    expect(clamping.element.getAttribute('step')).toBe('1');
+    warn.mockRestore();
+  });
+
+  it('calls exposed methods and dispatches events', async () => {
+    const fixture = await mount(generateClass(counterConfig()));
+    fixture.call('increment', 2);
+    await fixture.nextRender();
+
+    expect(fixture.element.count).toBe(2);
+    expect(fixture.eventsOfType('Incremented')[0].detail).toBe(2);
+    expect(fixture.html()).toBe('<p>2 by 1</p>');
+  });
+
+  it('captures events that are dispatched when the app starts', async () => {
+    const fixture = await mount(
+      generateClass(
+        counterConfig({ init: [{ count: 0 }, dispatchEvent('Ready')] })
+      )
+    );
+    expect(fixture.eventsOfType('Ready')).toHaveLength(1);
+  });
+
+  it('returns values from exposed methods', async () => {
+    const Save = (state) => [state, [saveEffecter, {}]];
+    const saveEffecter = () => Promise.resolve('saved');
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedMethods: {
+            add: {
+              action: (state, { a, b }) => ({ ...state, count: a + b }),
+              params: ['a', 'b'],
+              returns: (state) => state.count,
+            },
+            save: { action: Save, awaitEffect: saveEffecter },
+          },
+        })
+      )
+    );
+
+    expect(fixture.call('add', 2, 3)).toBe(5);
+    await expect(fixture.call('save')).resolves.toBe('saved');
+  });
+
+  it('awaits Effects of methods that are called while halted', async () => {
+    const Save = (state) => [{ ...state, saved: true }, [saveEffecter, {}]];
+    const saveEffecter = () => Promise.resolve('saved');
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedMethods: { save: { action: Save, awaitEffect: saveEffecter } },
+          disconnectMode: 'destroy',
+        })
+      )
+    );
+    const { element } = fixture;
+    element.remove();
+
+    let settled = false;
+    const promise = element.save().finally(() => (settled = true));
+    await Promise.resolve();
+    expect(settled).toBe(false);
+
+    document.body.appendChild(element);
+    await expect(promise).resolves.toBe('saved');
+    expect(element._state.saved).toBe(true);
+    fixture.unmount();
+  });
+
+  it('calls on<event> handlers set via attributes', async () => {
+    window.handled = 0;
+    const fixture = await mount(generateClass(counterConfig()), {
+      attributes: { onincrement: 'window.handled++' },
+    });
+    fixture.call('increment');
+    expect(window.handled).toBe(1);
+  });
+
+  it('binds Actions and Effects to the element', async () => {
+    let self;
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedMethods: {
+            probe: (state) => [
+              state,
+              [
+                function () {
+                  self = this;
+                },
+              ],
+            ],
+          },
+        })
+      )
+    );
+    fixture.call('probe');
+    expect(self).toBe(fixture.element);
+  });
+
+  it("combines the consumer's dispatch initialiser with its own", async () => {
+    const actions = [];
+    const dispatch = (next) => (action, props) => {
+      actions.push(action);
+      return next(action, props);
+    };
+    const fixture = await mount(generateClass(counterConfig({ dispatch })));
+    fixture.call('increment');
+
+    expect(actions).toContain(Increment);
+    expect(fixture.element.count).toBe(1);
+  });
+
+  it('keeps its state when it is moved', async () => {
+    const unsubscribe = vi.fn();
+    const subscriber = vi.fn(() => unsubscribe);
+    const fixture = await mount(
+      generateClass(counterConfig({ subscriptions: () => [[subscriber, {}]] }))
+    );
+    fixture.call('increment');
+    expect(subscriber).toHaveBeenCalledTimes(1);
+
+    fixture.element.remove();
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+
+    document.body.appendChild(fixture.element);
+    expect(subscriber).toHaveBeenCalledTimes(2);
+    fixture.call('increment');
+    await nextRender();
+    expect(fixture.html()).toBe('<p>2 by 1</p>');
+  });
+
+  it('restarts a halted app with its previous state', async () => {
+    const fixture = await mount(
+      generateClass(counterConfig({ disconnectMode: 'destroy' }))
+    );
+    fixture.call('increment');
+    fixture.element.remove();
+
+    // Changes made while the app is halted take effect when it restarts.
+    fixture.element.step = 4;
+    document.body.appendChild(fixture.element);
+    await nextRender();
+    expect(fixture.html()).toBe('<p>1 by 4</p>');
+  });
+
+  it('halts the app as soon as it leaves the DOM', async () => {
+    const fixture = await mount(
+      generateClass(counterConfig({ disconnectMode: 'destroy' }))
+    );
+    fixture.element.remove();
+    expect(fixture.element._dispatch).toBeNull();
+  });
+
+  it('renders the final state if it is halted before rendering', async () => {
+    const fixture = await mount(
+      generateClass(counterConfig({ disconnectMode: 'destroy' }))
+    );
+    fixture.call('increment');
+    fixture.element.remove();
+    await nextRender();
+    expect(fixture.html()).toBe('<p>1 by 1</p>');
+  });
+
+  it('keeps the content inside a Light DOM tag when it restarts', async () => {
+    const fixture = await mount(
+      generateClass(
+        counterConfig({ useShadowDOM: false, disconnectMode: 'destroy' })
+      ),
+      { innerHTML: '<b>mine</b>' }
+    );
+    const { element } = fixture;
+    expect(element.innerHTML).toBe('<b>mine</b><p>0 by 1</p>');
+
+    element.remove();
+    document.body.appendChild(element);
+    await nextRender();
+    expect(element.innerHTML).toBe('<b>mine</b><p>0 by 1</p>');
+
+    // Halted before the first render.
+    element.remove();
+    document.body.appendChild(element);
+    element.remove();
+    document.body.appendChild(element);
+    await nextRender();
+    expect(element.innerHTML).toBe('<b>mine</b><p>0 by 1</p>');
+    fixture.unmount();
+  });
+
+  it('keeps only the latest value of a property while halted', async () => {
+    const setter = vi.fn((state, props) => ({ ...state, ...props }));
+    const fixture = await mount(
+      generateClass(
+        counterConfig({
+          exposedConfig: [{ propName: 'step', setter }],
+          disconnectMode: 'destroy',
+        })
+      )
+    );
+    fixture.element.remove();
+    for (let step = 1; step <= 100; step++) {
+      fixture.element.step = step;
+    }
+    expect(fixture.element._pendingDispatches).toHaveLength(1);
+
+    document.body.appendChild(fixture.element);
+    expect(setter).toHaveBeenCalledTimes(1);
+    expect(fixture.element.step).toBe(100);
+  });
+
+  it('halts the app after the grace period, by default', async () => {
+    const fixture = await mount(
+      generateClass(counterConfig({ teardownDelay: 100 }))
+    );
+    // Animation frames stay real: later tests still need them to render.
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    try {
+      fixture.element.remove();
+      expect(fixture.element._dispatch).toBeTruthy();
+      vi.advanceTimersByTime(100);
+      expect(fixture.element._dispatch).toBeNull();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('deferred start', () => {
+  it('starts when it enters the DOM, with the values set before', async () => {
+    const view = vi.fn((state) =>
+      h('p', {}, text(`${state.count} by ${state.step}`))
+    );
+    const MyCounter = generateClass(
+      counterConfig({ view, start: 'connected' })
+    );
+    customElements.define('deferred-counter', MyCounter);
+
+    const el = document.createElement('deferred-counter');
+    el.setAttribute('step', '3');
+    el.count = 5;
+    expect(el.count).toBeUndefined();
+    await nextRender();
+    expect(view).not.toHaveBeenCalled();
+
+    document.body.appendChild(el);
+    await nextRender();
+    expect(el.shadowRoot.innerHTML).toBe('<p>5 by 3</p>');
+    el.remove();
+  });
+
+  function stubIntersectionObserver() {
+    const observers = [];
+    vi.stubGlobal(
+      'IntersectionObserver',
+      class {
+        constructor(callback) {
+          this.callback = callback;
+          this.disconnect = vi.fn();
+          observers.push(this);
+        }
+        observe(target) {
+          this.target = target;
+        }
+      }
+    );
+    return observers;
+  }
+
+  it('starts when it scrolls into view', async () => {
+    const observers = stubIntersectionObserver();
+    const fixture = await mount(
+      generateClass(counterConfig({ start: 'visible', useShadowDOM: false }))
+    );
+    const [observer] = observers;
+    expect(observer.target).toBe(fixture.element);
+    expect(fixture.html()).toBe('');
+
+    observer.callback([{ isIntersecting: true }]);
+    await fixture.nextRender();
+    expect(observer.disconnect).toHaveBeenCalled();
+    expect(fixture.html()).toBe('<p>0 by 1</p>');
+    vi.unstubAllGlobals();
+  });
+
+  it('starts when an exposed method is called', async () => {
+    const observers = stubIntersectionObserver();
+    const fixture = await mount(
+      generateClass(counterConfig({ start: 'visible' }))
+    );
+    expect(fixture.element.count).toBeUndefined();
+
+    fixture.element.increment();
+    expect(fixture.element.count).toBe(1);
+    expect(observers[0].disconnect).toHaveBeenCalled();
+    vi.unstubAllGlobals();
+  });
+});
+
+describe('aria and states', () => {
+  function ToggleOpen(state) {
+    return { ...state, open: !state.open };
+  }
+
+  function disclosureConfig(overrides) {
+    return {
+      app,
+      init: { open: false },
+      view: () => h('slot', {}),
+      exposedMethods: { toggle: ToggleOpen },
+      aria: {
+        role: 'button',
+        ariaExpanded: (state) => state.open,
+        ariaLabel: (state) => state.label,
+      },
+      states: { open: (state) => state.open },
+      ...overrides,
+    };
+  }
+
+  // Where ElementInternals does not implement ARIA properties, e.g. in jsdom,
+  // they are set as attributes.
+  function ariaValue(element, propName, attrName) {
+    try {
+      const value = element._internals[propName];
+      if (value !== undefined && value !== null) return value;
+    } catch (err) {
+      // Not implemented.
+    }
+    return element.getAttribute(attrName);
+  }
+
+  it('applies ARIA properties and custom states after every change', async () => {
+    const fixture = await mount(generateClass(disclosureConfig()));
+    const { element } = fixture;
+    const isOpen = () =>
+      element._internals.states
+        ? element._internals.states.has('open')
+        : element.hasAttribute('data-state-open');
+
+    expect(ariaValue(element, 'role', 'role')).toBe('button');
+    expect(ariaValue(element, 'ariaExpanded', 'aria-expanded')).toBe('false');
+    expect(isOpen()).toBe(false);
+    expect(element.hasAttribute('aria-label')).toBe(false);
+
+    element.toggle();
+    expect(ariaValue(element, 'ariaExpanded', 'aria-expanded')).toBe('true');
+    expect(isOpen()).toBe(true);
+  });
+
+  it('sets attributes once the component is in the DOM', () => {
+    const Disclosure = generateClass(
+      disclosureConfig({ parent: HTMLDivElement, useShadowDOM: false })
+    );
+    customElements.define('aria-disclosure', Disclosure, { extends: 'div' });
+
+    const el = document.createElement('div', { is: 'aria-disclosure' });
+    expect(el.hasAttribute('role')).toBe(false);
+
+    document.body.appendChild(el);
+    expect(el.getAttribute('role')).toBe('button');
+    expect(el.getAttribute('aria-expanded')).toBe('false');
+    expect(el.hasAttribute('data-state-open')).toBe(false);
+
+    el.toggle();
+    expect(el.getAttribute('aria-expanded')).toBe('true');
+    expect(el.hasAttribute('data-state-open')).toBe(true);
+    el.remove();
+  });
+
+  it('leaves attributes that the author set alone', async () => {
+    const Disclosure = generateClass(
+      disclosureConfig({ parent: HTMLDivElement, useShadowDOM: false })
+    );
+    customElements.define('aria-authored', Disclosure, { extends: 'div' });
+
+    const el = document.createElement('div', { is: 'aria-authored' });
+    el.setAttribute('role', 'tab');
+    el.setAttribute('data-state-open', '');
+    document.body.appendChild(el);
+    expect(el.getAttribute('role')).toBe('tab');
+    expect(el.getAttribute('aria-expanded')).toBe('false');
+    expect(el.hasAttribute('data-state-open')).toBe(true);
+
+    el.toggle();
+    el.toggle();
+    expect(el.hasAttribute('data-state-open')).toBe(true);
+
+    // Values that the author changed are theirs from then on.
+    el.setAttribute('aria-expanded', 'mixed');
+    el.toggle();
+    expect(el.getAttribute('aria-expanded')).toBe('mixed');
+    el.remove();
+  });
+});
+
+describe('form association', () => {
+  // jsdom's ElementInternals does not implement form association, so this
+  // stands in for the browser's, the way a form would see it.
+  class FormInternals {
+    constructor(element) {
+      this.element = element;
+      this.validity = { valid: true };
+      this.validationMessage = '';
+      this.willValidate = true;
+      this.labels = [];
+    }
+    get form() {
+      return this.element.closest('form');
+    }
+    setFormValue(value, state) {
+      this.value = value;
+      this.state = state;
+    }
+    setValidity(flags = {}, message = '', anchor) {
+      this.validity = { ...flags, valid: !Object.values(flags).some(Boolean) };
+      this.validationMessage = message;
+      this.anchor = anchor;
+    }
+    checkValidity() {
+      return this.validity.valid;
+    }
+    reportValidity() {
+      return this.validity.valid;
+    }
+  }
+
+  beforeEach(() => {
+    vi.spyOn(HTMLElement.prototype, 'attachInternals').mockImplementation(
+      function () {
+        return new FormInternals(this);
+      }
+    );
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function SetValue(state, { value }) {
+    return [
+      { ...state, value },
+      value
+        ? setValidity()
+        : setValidity({ valueMissing: true }, 'Please fill this in.', 'input'),
+    ];
+  }
+
+  function inputConfig(overrides) {
+    return {
+      app,
+      init: { value: 'a', disabled: false },
+      view: (state) => h('input', { value: state.value }),
+      exposedConfig: [
+        { propName: 'value', attrName: 'value', setter: SetValue },
+        { propName: 'disabled' },
+      ],
+      formAssociated: {
+        value: (state) => state.value,
+        state: (state) => `restorable ${state.value}`,
+        onReset: (state) => ({ ...state, value: '' }),
+        onDisabled: (state, disabled) => ({ ...state, disabled }),
+        onStateRestore: (state, { state: restored }) => ({
+          ...state,
+          value: restored.replace('restorable ', ''),
+        }),
+      },
+      ...overrides,
+    };
+  }
+
+  it('passes a form value derived from the state to its form', async () => {
+    const form = document.createElement('form');
+    document.body.appendChild(form);
+    const fixture = await mount(generateClass(inputConfig()), {
+      container: form,
+    });
+    const internals = fixture.element._internals;
+    expect(fixture.element.form).toBe(form);
+    expect(internals.value).toBe('a');
+    expect(internals.state).toBe('restorable a');
+
+    const setFormValue = vi.spyOn(internals, 'setFormValue');
+    fixture.element.value = 'b';
+    fixture.element.disabled = true;
+    expect(internals.value).toBe('b');
+    expect(setFormValue).toHaveBeenCalledTimes(1);
+    form.remove();
+  });
+
+  it('dispatches Actions when the form is reset or disabled, or restored', async () => {
+    const fixture = await mount(generateClass(inputConfig()));
+    const { element } = fixture;
+
+    // As the browser would.
+    element.formResetCallback();
+    expect(element.value).toBe('');
+    element.formDisabledCallback(true);
+    expect(element.disabled).toBe(true);
+    element.formStateRestoreCallback('restorable c', 'restore');
+    expect(element.value).toBe('c');
+    expect(element._internals.value).toBe('c');
+  });
+
+  it('reports its validity with the setValidity Effect', async () => {
+    const fixture = await mount(generateClass(inputConfig()));
+    const { element } = fixture;
+    await fixture.setProperty('value', '');
+
+    expect(element.validity.valid).toBe(false);
+    expect(element.validity.valueMissing).toBe(true);
+    expect(element.validationMessage).toBe('Please fill this in.');
+    expect(element.checkValidity()).toBe(false);
+    expect(element._internals.anchor).toBe(
+      element.shadowRoot.querySelector('input')
+    );
+
+    await fixture.setProperty('value', 'd');
+    expect(element.checkValidity()).toBe(true);
+  });
+});
+
+describe('hydration', () => {
+  it('adopts server-rendered DOM in a declarative shadow root', async () => {
+    const MyGreeting = generateClass({
+      app,
+      init: { name: 'world' },
+      view: (state) => h('p', {}, text(`Hello, ${state.name}`)),
+      styles: 'p { color: red; }',
+      exposedConfig: [{ propName: 'name' }],
+    });
+
+    // Simulate the browser's parsing of server-rendered HTML.
+    const el = document.createElement('hydrated-greeting');
+    el.attachShadow({ mode: 'open' }).innerHTML =
+      '<style data-ssr>p { color: red; }</style><p>Hello, world</p>';
+    const p = el.shadowRoot.querySelector('p');
+    document.body.appendChild(el);
+    customElements.define('hydrated-greeting', MyGreeting);
+
+    el.name = 'there';
+    await nextRender();
+    expect(el.shadowRoot.querySelector('p')).toBe(p);
+    expect(el.shadowRoot.querySelectorAll('style[data-ssr]')).toHaveLength(0);
+    expect(p.textContent).toBe('Hello, there');
+  });
+});
+
+describe('extending native elements', () => {
+  function Clear(state) {
+    return [{ ...state, value: '' }, setNativeProperties({ value: '' })];
+  }
+
+  const ClearingInput = generateClass({
+    name: 'clearing-input',
+    parent: HTMLInputElement,
+    app,
+    init: { value: '', clicks: 0 },
+    useShadowDOM: false,
+    native: {
+      properties: ['value', 'disabled'],
+      events: { click: (state) => ({ ...state, clicks: state.clicks + 1 }) },
+    },
+    exposedMethods: { clear: Clear },
+  });
+
+  beforeAll(() => {
+    define(ClearingInput);
+  });
+
+  it('infers the tag name that it extends', () => {
+    expect(ClearingInput.extends).toBe('input');
+    expect(define(ClearingInput)).toBe('clearing-input');
+  });
+
+  it('copies native properties and events into the state', () => {
+    const el = document.createElement('input', { is: 'clearing-input' });
+    el.setAttribute('value', 'initial');
+    expect(el._state.value).toBe('initial');
+
+    el.value = 'typed';
+    el.dispatchEvent(new Event('input'));
+    expect(el._state.value).toBe('typed');
+
+    el.disabled = true;
+    expect(el._state.disabled).toBe(true);
+    el.removeAttribute('disabled');
+    expect(el._state.disabled).toBe(false);
+
+    el.click();
+    expect(el._state.clicks).toBe(1);
+  });
+
+  it('writes state back to native properties', () => {
+    const el = document.createElement('input', { is: 'clearing-input' });
+    el.value = 'typed';
+    el.clear();
+    expect(el.value).toBe('');
+    expect(el._state.value).toBe('');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { debug } from '../src/debug';
+import { mount, nextRender } from '../src/testing';
+
+function Increment(state) {
+  return { ...state, count: state.count + 1 };
+}
+
+const DebuggedCounter = generateClass({
+  app,
+  init: { count: 0 },
+  view: (state) => h('p', {}, text(state.count)),
+  exposedConfig: [{ propName: 'count', attrName: 'count', type: Number }],
+  exposedMethods: { increment: Increment },
+  dispatch: debug({ historySize: 3 }),
+});
+
+describe('debug', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('logs Actions and registers instances globally', async () => {
+    const logged = vi.spyOn(console, 'debug').mockImplementation(() => {});
+    const fixture = await mount(DebuggedCounter, {
+      attributes: { id: 'main' },
+    });
+    fixture.call('increment');
+
+    const instance = globalThis.__HYPERAPP_CUSTOM_ELEMENTS__.get(
+      `${fixture.element.localName}#main`
+    );
+    expect(instance.element).toBe(fixture.element);
+    expect(logged).toHaveBeenCalledWith(
+      `<${instance.label}>`,
+      'Action',
+      'Increment',
+      undefined
+    );
+    fixture.unmount();
+  });
+
+  it('keeps a bounded history, and travels through it', async () => {
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    const fixture = await mount(DebuggedCounter);
+    for (let i = 0; i < 4; i++) {
+      fixture.call('increment');
+    }
+    const instance = globalThis.__HYPERAPP_CUSTOM_ELEMENTS__.get(
+      fixture.element
+    );
+    expect(instance.history.map((entry) => entry.state.count)).toEqual([
+      2, 3, 4,
+    ]);
+    expect(instance.history[2].action).toBe('Increment');
+
+    instance.back(2);
+    await nextRender();
+    expect(fixture.element.count).toBe(2);
+    expect(fixture.element.getAttribute('count')).toBe('2');
+    expect(fixture.html()).toBe('<p>2</p>');
+
+    instance.forward();
+    expect(fixture.element.count).toBe(3);
+
+    // A new Action discards the states that were stepped over.
+    fixture.call('increment');
+    expect(instance.history.map((entry) => entry.state.count)).toEqual([
+      2, 3, 4,
+    ]);
+    expect(instance.index).toBe(2);
+
+    instance.replay({ count: 10 });
+    expect(fixture.element.count).toBe(10);
+    fixture.unmount();
+  });
+
+  it('does not keep discarded components alive', async () => {
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    let collected = false;
+    vi.stubGlobal(
+      'WeakRef',
+      class {
+        constructor(target) {
+          this.target = target;
+        }
+        deref() {
+          return collected ? undefined : this.target;
+        }
+      }
+    );
+    const fixture = await mount(DebuggedCounter);
+    const registry = globalThis.__HYPERAPP_CUSTOM_ELEMENTS__;
+    const { label } = registry.get(fixture.element);
+    fixture.unmount();
+
+    collected = true;
+    expect(registry.get(label)).toBeUndefined();
+    expect(registry.entries.some((item) => item.label === label)).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { define } from '../src/define';
+import { nextRender } from '../src/testing';
+
+function greetingConfig(overrides) {
+  return {
+    name: 'x-greeting',
+    app,
+    init: { name: 'world' },
+    view: (state) => h('p', {}, text(`Hello, ${state.name}`)),
+    exposedConfig: [{ propName: 'name', attrName: 'name' }],
+    ...overrides,
+  };
+}
+
+describe('define', () => {
+  it('registers the component with its name', () => {
+    const Greeting = generateClass(greetingConfig({ define: true }));
+    expect(customElements.get('x-greeting')).toBe(Greeting);
+  });
+
+  it('tolerates an identical re-definition', () => {
+    const Greeting = generateClass(greetingConfig({ name: 'x-twice' }));
+    expect(define(Greeting)).toBe('x-twice');
+    expect(define(Greeting)).toBe('x-twice');
+    // E.g. the same component in another bundle.
+    const Copy = generateClass(greetingConfig({ name: 'x-twice' }));
+    expect(define(Copy)).toBe('x-twice');
+    expect(customElements.get('x-twice')).toBe(Greeting);
+
+    const Different = generateClass(
+      greetingConfig({ name: 'x-twice', exposedConfig: [] })
+    );
+    expect(() => define(Different)).toThrow(/already been defined/);
+  });
+
+  it('appends a version suffix', () => {
+    const Greeting = generateClass(greetingConfig({ name: 'x-versioned' }));
+    expect(define(Greeting, { suffix: 'v2.1' })).toBe('x-versioned-v2-1');
+    expect(customElements.get('x-versioned-v2-1')).toBe(Greeting);
+  });
+
+  it('registers the component in a scoped registry', () => {
+    const entries = new Map();
+    const registry = {
+      get: (tagName) => entries.get(tagName),
+      define: (tagName, cls) => entries.set(tagName, cls),
+    };
+    const Greeting = generateClass(greetingConfig({ name: 'x-scoped' }));
+
+    define(Greeting, { registry: { customElementRegistry: registry } });
+    expect(entries.get('x-scoped')).toBe(Greeting);
+    expect(customElements.get('x-scoped')).toBeUndefined();
+
+    // As early implementations of scoped registries called it.
+    const Older = generateClass(greetingConfig({ name: 'x-scoped-older' }));
+    define(Older, { registry: { customElements: registry } });
+    expect(entries.get('x-scoped-older')).toBe(Older);
+  });
+
+  it('upgrades properties that were set before the definition', async () => {
+    const el = document.createElement('x-lazy');
+    el.name = 'early bird';
+    document.body.appendChild(el);
+
+    define(generateClass(greetingConfig({ name: 'x-lazy' })));
+    await nextRender();
+
+    expect(Object.prototype.hasOwnProperty.call(el, 'name')).toBe(false);
+    expect(el.name).toBe('early bird');
+    expect(el.shadowRoot.innerHTML).toBe('<p>Hello, early bird</p>');
+    el.remove();
+  });
+});
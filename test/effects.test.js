@@ -0,0 +1,267 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { app, h } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import {
+  debounce,
+  delay,
+  dispatchEvent,
+  emitToDocument,
+  fetchData,
+  focus,
+  setOnEventListenerEffectRunner,
+  setStyles,
+  throttle,
+} from '../src/effects';
+import { mount } from '../src/testing';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs an Effect the way a component does: bound to the element.
+ */
+function run(el, [effecter, props], dispatch = vi.fn()) {
+  return effecter.call(el, dispatch, props);
+}
+
+describe('dispatchEvent', () => {
+  it('dispatches a CustomEvent on the element', () => {
+    const el = document.createElement('div');
+    const listener = vi.fn();
+    el.addEventListener('happened', listener);
+
+    const [effecter, props] = dispatchEvent('happened', { detail: 3 });
+    effecter.call(el, vi.fn(), props);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail).toBe(3);
+  });
+
+  it('dispatches onProceed if the event is not cancelled', () => {
+    const el = document.createElement('div');
+    const dispatch = vi.fn();
+    const onProceed = () => {};
+
+    const [effecter, props] = dispatchEvent('before-close', {}, { onProceed });
+    expect(props.eventInit.cancelable).toBe(true);
+    expect(effecter.call(el, dispatch, props)).toBe(true);
+
+    expect(dispatch).toHaveBeenCalledWith(onProceed, expect.any(CustomEvent));
+  });
+
+  it('dispatches onCancel if the event is cancelled', () => {
+    const el = document.createElement('div');
+    el.addEventListener('before-close', (event) => event.preventDefault());
+    const dispatch = vi.fn();
+    const onProceed = () => {};
+    const onCancel = () => {};
+
+    const [effecter, props] = dispatchEvent(
+      'before-close',
+      {},
+      { onProceed, onCancel }
+    );
+    expect(effecter.call(el, dispatch, props)).toBe(false);
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch).toHaveBeenCalledWith(onCancel, expect.any(CustomEvent));
+  });
+});
+
+describe('setOnEventListenerEffectRunner', () => {
+  it('replaces the previous listener', () => {
+    const el = document.createElement('div');
+    const oldVal = vi.fn();
+    const newVal = vi.fn();
+
+    setOnEventListenerEffectRunner.call(el, null, {
+      eventType: 'happened',
+      oldVal: null,
+      newVal: oldVal,
+    });
+    setOnEventListenerEffectRunner.call(el, null, {
+      eventType: 'happened',
+      oldVal,
+      newVal,
+    });
+    el.dispatchEvent(new CustomEvent('happened'));
+
+    expect(oldVal).not.toHaveBeenCalled();
+    expect(newVal).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('setStyles', () => {
+  it('asks the element to replace its styles', () => {
+    const el = { replaceStyles: vi.fn() };
+    const [effecter, props] = setStyles('p { color: red; }');
+    effecter.call(el, vi.fn(), props);
+    expect(el.replaceStyles).toHaveBeenCalledWith('p { color: red; }');
+  });
+});
+
+describe('timing Effects', () => {
+  const Action = () => {};
+
+  it('debounces dispatches with the same key', async () => {
+    const el = {};
+    const dispatch = vi.fn();
+    const first = run(el, debounce(5, Action, 1), dispatch);
+    const second = run(el, debounce(5, Action, 2), dispatch);
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(dispatch.mock.calls).toEqual([[Action, 2]]);
+  });
+
+  it('throttles dispatches, keeping the latest payload', async () => {
+    const el = {};
+    const dispatch = vi.fn();
+    run(el, throttle(5, Action, 1), dispatch);
+    const superseded = run(el, throttle(5, Action, 2), dispatch);
+    const trailing = run(el, throttle(5, Action, 3), dispatch);
+    expect(dispatch.mock.calls).toEqual([[Action, 1]]);
+
+    expect(await superseded).toBe(false);
+    expect(await trailing).toBe(true);
+    expect(dispatch.mock.calls).toEqual([
+      [Action, 1],
+      [Action, 3],
+    ]);
+  });
+
+  it('cancels timers when the app is halted', async () => {
+    const Tick = vi.fn((state) => state);
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: [{}, delay(50, Tick)],
+        view: () => h('p', {}),
+        disconnectMode: 'destroy',
+      })
+    );
+    fixture.unmount();
+    await wait(60);
+    expect(Tick).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchData', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('resolves exposed methods that await it', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => new Response('{"name":"Ada"}'))
+    );
+    const SetUser = (state, user) => ({ ...state, user });
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: {},
+        view: () => h('p', {}),
+        exposedMethods: {
+          load: {
+            action: (state, id) => [
+              state,
+              fetchData(`/users/${id}`, { onSuccess: SetUser }),
+            ],
+            awaitEffect: fetchData,
+            returns: (state) => state.user,
+          },
+        },
+      })
+    );
+
+    await expect(fixture.call('load', 1)).resolves.toEqual({ name: 'Ada' });
+    expect(fetch.mock.calls[0][0]).toBe('/users/1');
+    fixture.unmount();
+  });
+
+  it('reports a failure without an onError Action', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => new Response('', { status: 404 }))
+    );
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: {},
+        view: () => h('p', {}),
+        exposedMethods: {
+          load: (state) => [state, fetchData('/missing')],
+          loadAndWait: {
+            action: (state) => [state, fetchData('/missing')],
+            awaitEffect: fetchData,
+          },
+        },
+      })
+    );
+
+    // Only the method that awaits the Effect sees the rejection. An unhandled
+    // rejection would fail the test.
+    fixture.call('load');
+    await expect(fixture.call('loadAndWait')).rejects.toThrow('404');
+    const errors = fixture.eventsOfType('error');
+    expect(errors).toHaveLength(2);
+    expect(errors[0].detail.url).toBe('/missing');
+    expect(errors[0].detail.error.response.status).toBe(404);
+    fixture.unmount();
+  });
+
+  it('aborts the request when the app is halted', async () => {
+    let signal;
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(
+        (url, init) =>
+          new Promise((resolve, reject) => {
+            signal = init.signal;
+            signal.addEventListener('abort', () => reject(signal.reason));
+          })
+      )
+    );
+    const onError = vi.fn((state) => state);
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: [{}, fetchData('/slow', { onError })],
+        view: () => h('p', {}),
+        disconnectMode: 'destroy',
+      })
+    );
+    fixture.unmount();
+    await wait(0);
+    expect(signal.aborted).toBe(true);
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
+
+describe('element Effects', () => {
+  it('focuses an element after it has been rendered', async () => {
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: { editing: false },
+        view: (state) => h('div', {}, state.editing && h('input', {})),
+        exposedMethods: {
+          edit: {
+            action: (state) => [{ editing: true }, focus('input')],
+            awaitEffect: focus,
+          },
+        },
+      })
+    );
+    await expect(fixture.call('edit')).resolves.toBe(true);
+    expect(fixture.element.shadowRoot.activeElement.localName).toBe('input');
+    fixture.unmount();
+  });
+
+  it('emits events to the document', () => {
+    const el = document.createElement('div');
+    const listener = vi.fn();
+    document.addEventListener('toast', listener);
+    run(el, emitToDocument('toast', { detail: 'Saved' }));
+    document.removeEventListener('toast', listener);
+    expect(listener.mock.calls[0][0].detail).toBe('Saved');
+  });
+});
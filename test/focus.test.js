@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { focus } from '../src/effects';
+import { rovingFocus, rovingTabIndex, trapFocus } from '../src/focus';
+import { mount, nextRender } from '../src/testing';
+
+const keydown = (target, key, shiftKey = false) =>
+  target.dispatchEvent(
+    new KeyboardEvent('keydown', {
+      key,
+      shiftKey,
+      bubbles: true,
+      composed: true,
+    })
+  );
+
+describe('focus management', () => {
+  it('supports closed shadow roots', async () => {
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: {},
+        view: () => h('p', {}, text('secret')),
+        shadowRootOptions: { mode: 'closed' },
+      })
+    );
+    expect(fixture.element.shadowRoot).toBeNull();
+    expect(fixture.html()).toBe('<p>secret</p>');
+    fixture.unmount();
+  });
+
+  it('routes the host focus() method to an Action', async () => {
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: {},
+        view: () => h('div', {}, h('input', {})),
+        exposedMethods: {
+          focus: {
+            action: (state) => [state, focus('input')],
+            awaitEffect: focus,
+          },
+        },
+      })
+    );
+    await fixture.element.focus();
+    expect(fixture.element.shadowRoot.activeElement.localName).toBe('input');
+    fixture.unmount();
+  });
+
+  it('routes the host focus() and blur() methods to Actions', async () => {
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: { focused: false },
+        view: () => h('div', {}, h('input', {})),
+        exposedConfig: [{ propName: 'focused' }],
+        hostFocus: {
+          focus: (state) => [{ ...state, focused: true }, focus('input')],
+          blur: (state) => ({ ...state, focused: false }),
+        },
+      })
+    );
+    fixture.element.focus();
+    expect(fixture.element.focused).toBe(true);
+    await fixture.nextRender();
+    expect(fixture.element.shadowRoot.activeElement.localName).toBe('input');
+
+    fixture.element.blur();
+    expect(fixture.element.focused).toBe(false);
+    fixture.unmount();
+  });
+
+  it('moves a roving tabindex with the arrow keys', async () => {
+    const SetActive = (state, active) => ({ ...state, active });
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: { active: 0 },
+        view: (state) =>
+          h(
+            'ul',
+            {},
+            [0, 1, 2].map((i) =>
+              h('li', { tabindex: rovingTabIndex(i, state.active) }, text(i))
+            )
+          ),
+        subscriptions: () => [rovingFocus('li', SetActive)],
+        exposedConfig: [{ propName: 'active' }],
+      })
+    );
+    const items = fixture.element.shadowRoot.querySelectorAll('li');
+    items[0].focus();
+
+    keydown(items[0], 'ArrowUp');
+    expect(fixture.element.active).toBe(2);
+    expect(fixture.element.shadowRoot.activeElement).toBe(items[2]);
+
+    await nextRender();
+    expect(Array.from(items, (item) => item.tabIndex)).toEqual([-1, -1, 0]);
+    fixture.unmount();
+  });
+
+  it('traps the focus while a Subscription is active', async () => {
+    const outside = document.createElement('button');
+    document.body.appendChild(outside);
+    outside.focus();
+
+    const fixture = await mount(
+      generateClass({
+        app,
+        init: { open: false },
+        view: (state) =>
+          h(
+            'div',
+            {},
+            state.open && [h('button', { id: 'a' }), h('button', { id: 'b' })]
+          ),
+        subscriptions: (state) => [state.open && trapFocus()],
+        exposedConfig: [{ propName: 'open' }],
+      })
+    );
+    const root = fixture.element.shadowRoot;
+
+    fixture.element.open = true;
+    await nextRender();
+    await nextRender();
+    expect(root.activeElement.id).toBe('a');
+
+    keydown(root.activeElement, 'Tab', true);
+    expect(root.activeElement.id).toBe('b');
+    keydown(root.activeElement, 'Tab');
+    expect(root.activeElement.id).toBe('a');
+
+    fixture.element.open = false;
+    expect(document.activeElement).toBe(outside);
+    fixture.unmount();
+    outside.remove();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { createMessages, resolveLang } from '../src/i18n';
+import { mount, nextRender } from '../src/testing';
+
+const messages = createMessages({
+  en: {
+    greeting: 'Hello, {name}',
+    clicks: {
+      '=0': 'No clicks',
+      one: '{count} click',
+      other: '{count} clicks',
+    },
+  },
+  fr: { greeting: 'Bonjour, {name}' },
+  de: { clicks: { one: '{count} Klick', other: '{count} Klicks' } },
+});
+
+describe('createMessages', () => {
+  it('looks up messages in the language, its base or the fallback', () => {
+    expect(messages.format('fr-CA', 'greeting', { name: 'Anne' })).toBe(
+      'Bonjour, Anne'
+    );
+    expect(messages.format('es', 'greeting', { name: 'Ana' })).toBe(
+      'Hello, Ana'
+    );
+    expect(messages.format('en', 'greeting')).toBe('Hello, {name}');
+    expect(messages.format('en', 'missing')).toBe('missing');
+  });
+
+  it('pluralises and formats numbers', () => {
+    expect(messages.format('en', 'clicks', { count: 0 })).toBe('No clicks');
+    expect(messages.format('en', 'clicks', { count: 1 })).toBe('1 click');
+    expect(messages.format('en', 'clicks', { count: 1500 })).toBe(
+      '1,500 clicks'
+    );
+    expect(messages.format('de', 'clicks', { count: 1500 })).toBe(
+      '1.500 Klicks'
+    );
+  });
+
+  it('adds messages', () => {
+    const added = createMessages().add('it', { greeting: 'Ciao, {name}' });
+    expect(added.format('it', 'greeting', { name: 'Aldo' })).toBe('Ciao, Aldo');
+  });
+});
+
+describe('i18n', () => {
+  const Greeting = generateClass({
+    app,
+    init: { name: 'Anne' },
+    view: (state) =>
+      h('p', {}, text(messages.format(state.lang, 'greeting', state))),
+    i18n: { messages },
+  });
+
+  it('resolves the language from the closest lang attribute', () => {
+    const section = document.createElement('section');
+    section.setAttribute('lang', 'fr');
+    const root = section.attachShadow({ mode: 'open' });
+    const p = document.createElement('p');
+    root.appendChild(p);
+    document.body.appendChild(section);
+
+    expect(resolveLang(p)).toBe('fr');
+    p.setAttribute('lang', 'de');
+    expect(resolveLang(p)).toBe('de');
+    section.remove();
+  });
+
+  it('renders in its language, and re-renders when it changes', async () => {
+    const container = document.createElement('div');
+    container.setAttribute('lang', 'fr');
+    document.body.appendChild(container);
+
+    const fixture = await mount(Greeting, { container });
+    expect(Greeting.messages).toBe(messages);
+    expect(fixture.html()).toBe('<p>Bonjour, Anne</p>');
+
+    container.setAttribute('lang', 'en');
+    await nextRender();
+    await nextRender();
+    expect(fixture.html()).toBe('<p>Hello, Anne</p>');
+
+    // Moving the component may change its language.
+    const german = document.createElement('div');
+    german.setAttribute('lang', 'de');
+    document.body.appendChild(german);
+    german.appendChild(fixture.element);
+    await nextRender();
+    expect(fixture.element._state.lang).toBe('de');
+    container.remove();
+    german.remove();
+  });
+});
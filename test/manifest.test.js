@@ -0,0 +1,114 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { generateClass } from '../src/custom-element';
+import {
+  describeModule,
+  generateManifest,
+  generateTypes,
+} from '../src/manifest';
+
+const Increment = (state) => ({ ...state, count: state.count + 1 });
+
+const MyCounter = generateClass({
+  name: 'my-counter',
+  app: () => {},
+  init: { count: 0 },
+  view: () => null,
+  exposedConfig: [
+    {
+      propName: 'step',
+      attrName: 'step',
+      type: Number,
+      default: 1,
+      notify: true,
+      description: 'How much to increment by.',
+    },
+    { propName: 'count', reflect: false },
+    {
+      propName: 'onincrement',
+      attrName: 'onincrement',
+      eventType: 'Incremented',
+    },
+  ],
+  exposedMethods: {
+    increment: Increment,
+    add: { action: Increment, params: ['amount'], returns: (s) => s.count },
+  },
+  events: [{ name: 'Incremented', description: 'The count was incremented.' }],
+});
+
+describe('manifest', () => {
+  const modules = [
+    describeModule('src/my-counter.js', { MyCounter, other: 42 }),
+    describeModule('src/unexported.js', {}, [['x-counter', MyCounter]]),
+  ];
+
+  it('describes the components a module exports or defines', () => {
+    expect(modules[0].components).toMatchObject([
+      { className: 'MyCounter', tagName: 'my-counter', exported: true },
+    ]);
+    expect(modules[1].components).toMatchObject([
+      { className: 'XCounter', tagName: 'x-counter' },
+    ]);
+  });
+
+  it('generates a Custom Elements Manifest', () => {
+    const manifest = generateManifest(modules);
+    const [declaration] = manifest.modules[0].declarations;
+
+    expect(declaration).toMatchObject({
+      kind: 'class',
+      name: 'MyCounter',
+      tagName: 'my-counter',
+      customElement: true,
+    });
+    expect(declaration.attributes[0]).toEqual({
+      name: 'step',
+      type: { text: 'number' },
+      fieldName: 'step',
+      description: 'How much to increment by.',
+      default: '1',
+    });
+    expect(declaration.members.map((m) => [m.kind, m.name])).toEqual([
+      ['field', 'step'],
+      ['field', 'count'],
+      ['field', 'onincrement'],
+      ['method', 'increment'],
+      ['method', 'add'],
+    ]);
+    expect(declaration.events.map((e) => e.name)).toEqual([
+      'Incremented',
+      'step-changed',
+      'invalid-value',
+    ]);
+    expect(manifest.modules[0].exports).toEqual([
+      {
+        kind: 'js',
+        name: 'MyCounter',
+        declaration: { name: 'MyCounter', module: 'src/my-counter.js' },
+      },
+      {
+        kind: 'custom-element-definition',
+        name: 'my-counter',
+        declaration: { name: 'MyCounter', module: 'src/my-counter.js' },
+      },
+    ]);
+  });
+
+  it('generates TypeScript declarations', () => {
+    const types = generateTypes(modules.slice(0, 1));
+
+    expect(types).toContain(
+      'export declare class MyCounter extends HTMLElement {'
+    );
+    expect(types).toContain(
+      '  /** How much to increment by. */\n  step: number;'
+    );
+    expect(types).toContain('  add(amount?: any): any;');
+    expect(types).toContain('  increment(payload?: any): void;');
+    expect(types).toContain(
+      '  "step-changed": CustomEvent<{ value: number; oldValue: number }>;'
+    );
+    expect(types).toContain('    "my-counter": MyCounter;');
+  });
+});
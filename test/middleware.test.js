@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { combineDispatchInitialisers } from '../src/middleware';
+
+describe('combineDispatchInitialisers', () => {
+  it('calls the outer initialiser with the result of the inner one', () => {
+    const calls = [];
+    const wrap = (name) => (dispatch) => (action, props) => {
+      calls.push(name);
+      return dispatch(action, props);
+    };
+
+    const dispatch = combineDispatchInitialisers(
+      wrap('outer'),
+      wrap('inner')
+    )((action) => calls.push(action));
+    dispatch('action');
+
+    expect(calls).toEqual(['outer', 'inner', 'action']);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { memoryStorage, mount } from '../src/testing';
+
+const SetFilter = (state, filter) => ({ ...state, filter });
+
+function filterConfig(persist, init = { filter: 'all', draft: '' }) {
+  return {
+    app,
+    init,
+    view: (state) => h('p', {}, text(state.filter)),
+    exposedConfig: [{ propName: 'filter' }, { propName: 'draft' }],
+    exposedMethods: { setFilter: SetFilter },
+    persist,
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('persist', () => {
+  it('restores persisted values before the first render', async () => {
+    const storage = memoryStorage();
+    const tagName = 'x-persisted';
+    customElements.define(
+      tagName,
+      generateClass(filterConfig({ keys: ['filter'], storage }))
+    );
+    storage.setItem(
+      'x-persisted#list',
+      JSON.stringify({ filter: 'done', draft: 'ignored' })
+    );
+
+    const fixture = await mount(tagName, { attributes: { id: 'list' } });
+    expect(fixture.element.filter).toBe('done');
+    expect(fixture.element.draft).toBe('');
+    expect(fixture.html()).toBe('<p>done</p>');
+    fixture.unmount();
+  });
+
+  it('restores values after an initial Action', async () => {
+    const storage = memoryStorage({
+      'x-persisted-action#a': '{"filter":"open"}',
+    });
+    customElements.define(
+      'x-persisted-action',
+      generateClass(
+        filterConfig({ keys: ['filter'], storage }, () => ({ filter: 'all' }))
+      )
+    );
+    const fixture = await mount('x-persisted-action', {
+      attributes: { 'persist-key': 'a' },
+    });
+    expect(fixture.html()).toBe('<p>open</p>');
+    fixture.unmount();
+  });
+
+  it('writes changes back after a delay', async () => {
+    const storage = memoryStorage();
+    const fixture = await mount(
+      generateClass(filterConfig({ keys: ['filter'], storage, delay: 5 })),
+      { attributes: { id: 'x' } }
+    );
+    const key = `${fixture.element.localName}#x`;
+
+    fixture.call('setFilter', 'open');
+    fixture.call('setFilter', 'done');
+    expect(storage.getItem(key)).toBeNull();
+
+    await wait(20);
+    expect(storage.getItem(key)).toBe('{"filter":"done"}');
+
+    // A pending write is not lost when the component leaves the DOM.
+    fixture.call('setFilter', 'all');
+    fixture.unmount();
+    expect(storage.getItem(key)).toBe('{"filter":"all"}');
+  });
+
+  it('persists instances without a key only if they opt in', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = memoryStorage();
+    const fixture = await mount(
+      generateClass(filterConfig({ keys: ['filter'], storage }))
+    );
+    fixture.call('setFilter', 'done');
+    fixture.unmount();
+    expect(storage.getItem(fixture.element.localName)).toBeNull();
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+
+    const shared = await mount(
+      generateClass(filterConfig({ keys: ['filter'], storage, shared: true }))
+    );
+    shared.call('setFilter', 'done');
+    shared.unmount();
+    expect(storage.getItem(shared.element.localName)).toBe('{"filter":"done"}');
+  });
+
+  it('identifies the values when the component first enters the DOM', async () => {
+    const storage = memoryStorage({
+      'x-persisted-late#late': '{"filter":"open"}',
+    });
+    customElements.define(
+      'x-persisted-late',
+      generateClass(filterConfig({ keys: ['filter'], storage }))
+    );
+    const el = document.createElement('x-persisted-late');
+    el.id = 'late';
+    document.body.appendChild(el);
+    expect(el.filter).toBe('open');
+
+    // The key does not change after that.
+    el.id = 'renamed';
+    el.setFilter('done');
+    el.remove();
+    expect(storage.getItem('x-persisted-late#late')).toBe('{"filter":"done"}');
+    expect(storage.getItem('x-persisted-late#renamed')).toBeNull();
+  });
+});
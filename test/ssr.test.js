@@ -0,0 +1,60 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { renderToString } from '../src/ssr';
+
+const config = {
+  name: 'my-greeting',
+  app: () => {},
+  init: { name: 'world' },
+  view: (state) =>
+    h('p', { class: { loud: state.loud }, onclick: () => {} }, [
+      text(`Hello, ${state.name} & co`),
+      h('br', {}),
+    ]),
+  styles: ':host { display: block; }',
+  exposedConfig: [
+    { propName: 'name', attrName: 'name' },
+    { propName: 'loud', attrName: 'loud', type: Boolean, default: false },
+    { propName: 'count', attrName: 'count', type: Number, min: 0 },
+  ],
+};
+
+describe('renderToString', () => {
+  it('renders the view into a declarative shadow root', () => {
+    const MyGreeting = generateClass(config);
+    expect(renderToString(MyGreeting)).toBe(
+      '<my-greeting><template shadowrootmode="open">' +
+        '<style data-ssr>:host { display: block; }</style>' +
+        '<p class="">Hello, world &amp; co<br></p>' +
+        '</template></my-greeting>'
+    );
+  });
+
+  it('applies the attributes to the state', () => {
+    const MyGreeting = generateClass(config);
+    const html = renderToString(
+      MyGreeting,
+      { name: '<b>', loud: '', count: '-1' },
+      { tagName: 'x-greeting' }
+    );
+    expect(html).toMatch(/^<x-greeting name="&lt;b&gt;" loud="" count="-1">/);
+    expect(html).toContain('<p class="loud">Hello, &lt;b&gt; &amp; co');
+  });
+
+  it('renders the shadow root options', () => {
+    const MyGreeting = generateClass({
+      ...config,
+      shadowRootOptions: { mode: 'closed', delegatesFocus: true },
+    });
+    expect(renderToString(MyGreeting)).toMatch(
+      /^<my-greeting><template shadowrootmode="closed" shadowrootdelegatesfocus>/
+    );
+  });
+
+  it('rejects Light DOM components', () => {
+    const MyGreeting = generateClass({ ...config, useShadowDOM: false });
+    expect(() => renderToString(MyGreeting)).toThrow(TypeError);
+  });
+});
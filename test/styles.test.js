@@ -0,0 +1,139 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import { setStyles } from '../src/effects';
+import { adoptStyles, removeStyles, scopeStyles } from '../src/styles';
+import { mount } from '../src/testing';
+
+function styledConfig(overrides) {
+  return {
+    app,
+    init: {},
+    view: () => h('p', {}, text('styled')),
+    styles: 'p { color: red; }',
+    exposedMethods: {
+      setTheme: (state, css) => [state, setStyles(css)],
+    },
+    ...overrides,
+  };
+}
+
+describe('styles', () => {
+  it('falls back to <style> elements at the start of the Shadow DOM', async () => {
+    const fixture = await mount(generateClass(styledConfig()));
+    expect(fixture.html()).toBe(
+      '<style>p { color: red; }</style><p>styled</p>'
+    );
+
+    fixture.call('setTheme', 'p { color: blue; }');
+    expect(fixture.html()).toBe(
+      '<style>p { color: blue; }</style><p>styled</p>'
+    );
+  });
+
+  it('adds Light DOM styles once per Document, scoped to the tag name', async () => {
+    const MyLight = generateClass(
+      styledConfig({ useShadowDOM: false, styles: ':host p { color: red; }' })
+    );
+    customElements.define('x-light-styled', MyLight);
+    const first = await mount('x-light-styled');
+    const second = await mount('x-light-styled');
+
+    const styles = () =>
+      Array.from(document.head.querySelectorAll('style'), (el) =>
+        el.textContent.trim()
+      );
+    expect(styles()).toEqual(['x-light-styled p { color: red; }']);
+
+    // Replaced for every instance.
+    second.call('setTheme', 'p { color: blue; }');
+    expect(styles()).toEqual(['x-light-styled p { color: blue; }']);
+    first.unmount();
+    second.unmount();
+  });
+
+  it('removes the <style> elements that it added', () => {
+    const handle = adoptStyles(document, ['a { color: red; }']);
+    expect(handle.elements[0].parentNode).toBe(document.head);
+    removeStyles(handle);
+    expect(handle.elements[0].isConnected).toBe(false);
+  });
+
+  it('scopes selectors to a tag name', () => {
+    expect(
+      scopeStyles(':host(.big) p, span { color: red; }', 'my-tag').trim()
+    ).toBe('my-tag.big p, my-tag span { color: red; }');
+  });
+});
+
+describe('adopted stylesheets', () => {
+  // jsdom does not support constructable stylesheets.
+  class FakeStyleSheet {
+    replaceSync(cssText) {
+      this.cssText = cssText;
+    }
+  }
+
+  const adopted = new WeakMap();
+  const adoptedStyleSheets = {
+    configurable: true,
+    get() {
+      return adopted.get(this) || [];
+    },
+    set(sheets) {
+      adopted.set(this, sheets);
+    },
+  };
+
+  function stubAdoptedStyleSheets() {
+    vi.stubGlobal('CSSStyleSheet', FakeStyleSheet);
+    Object.defineProperty(
+      Document.prototype,
+      'adoptedStyleSheets',
+      adoptedStyleSheets
+    );
+    Object.defineProperty(
+      ShadowRoot.prototype,
+      'adoptedStyleSheets',
+      adoptedStyleSheets
+    );
+  }
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    delete Document.prototype.adoptedStyleSheets;
+    delete ShadowRoot.prototype.adoptedStyleSheets;
+  });
+
+  it('shares a stylesheet between instances, and replaces it in one', async () => {
+    stubAdoptedStyleSheets();
+    const MyStyled = generateClass(
+      styledConfig({ styles: 'p { color: teal; }' })
+    );
+    const first = await mount(MyStyled);
+    const second = await mount(MyStyled);
+
+    const sheets = (fixture) => fixture.element.shadowRoot.adoptedStyleSheets;
+    expect(sheets(first)).toHaveLength(1);
+    expect(sheets(first)[0].cssText).toBe('p { color: teal; }');
+    expect(sheets(second)[0]).toBe(sheets(first)[0]);
+    expect(first.html()).toBe('<p>styled</p>');
+
+    first.call('setTheme', 'p { color: navy; }');
+    expect(sheets(first).map((sheet) => sheet.cssText)).toEqual([
+      'p { color: navy; }',
+    ]);
+    expect(sheets(second)[0].cssText).toBe('p { color: teal; }');
+  });
+
+  it('removes only the stylesheets that it adopted', () => {
+    stubAdoptedStyleSheets();
+    const own = new FakeStyleSheet();
+    document.adoptedStyleSheets = [own];
+
+    const handle = adoptStyles(document, 'b { color: red; }');
+    expect(document.adoptedStyleSheets).toHaveLength(2);
+    removeStyles(handle);
+    expect(document.adoptedStyleSheets).toEqual([own]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { app, h, text } from 'hyperapp';
+import { generateClass } from '../src/custom-element';
+import {
+  onHostEvent,
+  onMutation,
+  onResize,
+  subscriberDispatch,
+} from '../src/subscriptions';
+import { mount, nextRender } from '../src/testing';
+
+const Record = (state, payload) => ({
+  ...state,
+  log: [...state.log, payload],
+});
+
+function watcherConfig(subscriptions) {
+  return {
+    app,
+    init: { log: [] },
+    view: (state) => h('p', {}, text(state.log.length)),
+    subscriptions,
+    exposedConfig: [{ propName: 'log' }],
+    disconnectMode: 'keep-alive',
+  };
+}
+
+describe('host subscriptions', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('listens to events on the host', async () => {
+    const fixture = await mount(
+      generateClass(
+        watcherConfig(() => [
+          onHostEvent('ping', (s, ev) => Record(s, ev.type)),
+        ])
+      )
+    );
+    fixture.element.dispatchEvent(new Event('ping'));
+    expect(fixture.element.log).toEqual(['ping']);
+
+    // Subscriptions stop when the component leaves the DOM.
+    fixture.unmount();
+    await nextRender();
+    fixture.element.dispatchEvent(new Event('ping'));
+    expect(fixture.element.log).toEqual(['ping']);
+  });
+
+  it('observes attributes that are not exposed', async () => {
+    const fixture = await mount(
+      generateClass(
+        watcherConfig(() => [
+          onMutation((s, records) => Record(s, records[0].attributeName)),
+        ])
+      )
+    );
+    fixture.element.setAttribute('data-x', '1');
+    await Promise.resolve();
+    expect(fixture.element.log).toEqual(['data-x']);
+    fixture.unmount();
+  });
+
+  it('observes the size of the host, and disconnects', async () => {
+    const observers = [];
+    vi.stubGlobal(
+      'ResizeObserver',
+      class {
+        constructor(callback) {
+          this.callback = callback;
+          this.disconnect = vi.fn();
+          observers.push(this);
+        }
+        observe(target) {
+          this.target = target;
+        }
+      }
+    );
+    const fixture = await mount(
+      generateClass(watcherConfig(() => [onResize(Record)]))
+    );
+
+    const [observer] = observers;
+    expect(observer.target).toBe(fixture.element);
+    observer.callback([{ contentRect: { width: 10 } }]);
+    expect(fixture.element.log).toEqual([{ contentRect: { width: 10 } }]);
+
+    fixture.unmount();
+    await nextRender();
+    expect(observer.disconnect).toHaveBeenCalled();
+  });
+});
+
+describe('subscriberDispatch', () => {
+  it('defers dispatches while the Subscription is starting', async () => {
+    const dispatch = vi.fn();
+    const sub = subscriberDispatch(dispatch);
+    sub.dispatch('a', 1);
+    sub.dispatch('b', 2);
+    expect(dispatch).not.toHaveBeenCalled();
+
+    await Promise.resolve();
+    expect(dispatch.mock.calls).toEqual([
+      ['a', 1],
+      ['b', 2],
+    ]);
+    sub.dispatch('c', 3);
+    expect(dispatch).toHaveBeenLastCalledWith('c', 3);
+  });
+
+  it('drops dispatches once the Subscription has ended', async () => {
+    const dispatch = vi.fn();
+    const sub = subscriberDispatch(dispatch);
+    sub.dispatch('a', 1);
+    sub.end();
+    await Promise.resolve();
+    sub.dispatch('b', 2);
+    expect(dispatch).not.toHaveBeenCalled();
+    expect(sub.active).toBe(false);
+  });
+});